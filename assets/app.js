@@ -28,10 +28,23 @@ const examplesSearch = document.querySelector('#examples-search');
 const examplesTabs = document.querySelectorAll('.examples-tabs button');
 let examplesActiveTab = 'codes';
 let examplesData = { codes: [], prompts: [] };
-// Persistent settings
+// Persistent settings. Keys sealed at rest (see Encryption at rest) are served from sealedStorage
+// while the vault is unlocked; while it is locked they read as missing and writes are refused.
+const sealedStorage = new Map();
 const storage = {
-  get(key, def=null) { try { return JSON.parse(localStorage.getItem(key)) ?? def; } catch { return def; } },
-  set(key, val) { localStorage.setItem(key, JSON.stringify(val)); },
+  get(key, def=null) {
+    if (sealedStorage.has(key)) return sealedStorage.get(key) ?? def;
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value?.$sealed ? def : value ?? def;
+    } catch { return def; }
+  },
+  // -> false when a sealed key was refused because the vault is locked
+  set(key, val) {
+    if (isSealedStorageKey(key)) return writeSealedStorage(key, val);
+    localStorage.setItem(key, JSON.stringify(val));
+    return true;
+  },
 };
 
 const textEncoder = new TextEncoder();
@@ -78,7 +91,14 @@ function setEncryptedOpenAIKey(value) {
 const storedEncryptedKey = storage.get('encrypted_openai_key', null);
 if (storedEncryptedKey) setEncryptedOpenAIKey(storedEncryptedKey);
 
-const PBKDF2_ITERATIONS = 100000;
+// Packed keys are envelopes: v2$<kdf>$<iterations>$<salt>$<iv>$<cipher> (base64 fields), so the
+// KDF cost can rise without breaking older keys. Version 1 is the original bare base64 of
+// salt|iv|cipher, always PBKDF2-SHA-256 with 100000 iterations.
+const KEY_ENVELOPE_VERSION = 2;
+const LEGACY_PBKDF2_ITERATIONS = 100000;
+const KDF_HASHES = { 'pbkdf2-sha256': 'SHA-256', 'pbkdf2-sha512': 'SHA-512' };
+const DEFAULT_KDF = 'pbkdf2-sha256';
+const DEFAULT_KDF_ITERATIONS = 600000;
 const SALT_LENGTH = 16;
 const IV_LENGTH = 12;
 
@@ -105,15 +125,15 @@ function base64ToUint8Array(b64) {
   return bytes;
 }
 
-async function deriveAesGcmKey(passwordBytes, salt) {
+async function deriveAesGcmKey(passwordBytes, salt, { kdf = DEFAULT_KDF, iterations = LEGACY_PBKDF2_ITERATIONS } = {}) {
   const { subtle } = assertSubtleCryptoAvailable();
   const keyMaterial = await subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveKey']);
   return subtle.deriveKey(
     {
       name: 'PBKDF2',
-      hash: 'SHA-256',
+      hash: KDF_HASHES[kdf],
       salt,
-      iterations: PBKDF2_ITERATIONS,
+      iterations,
     },
     keyMaterial,
     { name: 'AES-GCM', length: 256 },
@@ -122,41 +142,91 @@ async function deriveAesGcmKey(passwordBytes, salt) {
   );
 }
 
-async function decryptStoredOpenAIKey(password) {
-  if (!encryptedOpenAIKey) throw new Error('Encrypted OpenAI key is not configured.');
-  if (!password) throw new Error('Enter the password to decrypt the OpenAI key.');
+// Encryption parameters for new keys: security.kdf / security.kdfIterations in config.json
+function currentKdfParams() {
+  const kdf = KDF_HASHES[appConfig.security?.kdf] ? appConfig.security.kdf : DEFAULT_KDF;
+  const iterations = Math.max(LEGACY_PBKDF2_ITERATIONS, Number(appConfig.security?.kdfIterations) || DEFAULT_KDF_ITERATIONS);
+  return { kdf, iterations };
+}
+
+// -> { version, kdf, iterations, salt, iv, cipher }; throws when the value is not a packed key
+function parseKeyEnvelope(packed, label = 'API key') {
+  const invalid = () => new Error(`Encrypted ${label} payload is invalid.`);
+  try {
+    if (!String(packed).includes('$')) {
+      const bytes = base64ToUint8Array(packed);
+      if (bytes.length <= (SALT_LENGTH + IV_LENGTH)) throw invalid();
+      return {
+        version: 1,
+        kdf: DEFAULT_KDF,
+        iterations: LEGACY_PBKDF2_ITERATIONS,
+        salt: bytes.slice(0, SALT_LENGTH),
+        iv: bytes.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH),
+        cipher: bytes.slice(SALT_LENGTH + IV_LENGTH),
+      };
+    }
+    const [tag, kdf, iterations, salt, iv, cipher, ...extra] = packed.split('$');
+    const version = Number(tag.replace(/^v/, ''));
+    if (version > KEY_ENVELOPE_VERSION) throw new Error(`Encrypted ${label} uses envelope version ${version}, which this app cannot read.`);
+    if (!tag.startsWith('v') || version < 2 || extra.length || !cipher) throw invalid();
+    if (!KDF_HASHES[kdf]) throw new Error(`Encrypted ${label} uses an unsupported key derivation (${kdf}).`);
+    const rounds = Number(iterations);
+    if (!Number.isInteger(rounds) || rounds < 1) throw invalid();
+    return { version, kdf, iterations: rounds, salt: base64ToUint8Array(salt), iv: base64ToUint8Array(iv), cipher: base64ToUint8Array(cipher) };
+  } catch (e) {
+    throw e.message.startsWith('Encrypted') ? e : invalid();
+  }
+}
+
+// True when a packed key was written with older or weaker parameters than currentKdfParams()
+function keyNeedsUpgrade(packed) {
+  const env = parseKeyEnvelope(packed);
+  const { kdf, iterations } = currentKdfParams();
+  return env.version < KEY_ENVELOPE_VERSION || env.kdf !== kdf || env.iterations < iterations;
+}
+
+async function decryptPackedKey(packedB64, password, label = 'API key') {
+  if (!password) throw new Error(`Enter the password to decrypt the ${label}.`);
   const { subtle } = assertSubtleCryptoAvailable();
-  const packed = base64ToUint8Array(encryptedOpenAIKey);
-  if (packed.length <= (SALT_LENGTH + IV_LENGTH)) throw new Error('Encrypted OpenAI key payload is invalid.');
-  const salt = packed.slice(0, SALT_LENGTH);
-  const iv = packed.slice(SALT_LENGTH, SALT_LENGTH + IV_LENGTH);
-  const cipher = packed.slice(SALT_LENGTH + IV_LENGTH);
+  const { kdf, iterations, salt, iv, cipher } = parseKeyEnvelope(packedB64, label);
   const passwordBytes = stringToUint8Array(password);
-  const aesKey = await deriveAesGcmKey(passwordBytes, salt);
+  const aesKey = await deriveAesGcmKey(passwordBytes, salt, { kdf, iterations });
   let decrypted;
   try {
     decrypted = await subtle.decrypt({ name: 'AES-GCM', iv }, aesKey, cipher);
   } catch (err) {
-    throw new Error('Password did not decrypt the OpenAI key.');
+    throw new Error(`Password did not decrypt the ${label}.`);
   }
   return textDecoder.decode(decrypted);
 }
 
+async function decryptStoredOpenAIKey(password) {
+  if (!encryptedOpenAIKey) throw new Error('Encrypted OpenAI key is not configured.');
+  return decryptPackedKey(encryptedOpenAIKey, password, 'OpenAI key');
+}
+
 async function encryptOpenAIKeyWithPassword(plainKey, password) {
-  if (!plainKey) throw new Error('Provide an OpenAI key to encrypt.');
+  return encryptPackedKey(plainKey, password, 'OpenAI key');
+}
+
+async function encryptPackedKey(plainKey, password, label = 'API key') {
+  if (!plainKey) throw new Error(`Provide an ${label} to encrypt.`);
   if (!password) throw new Error('Provide a password for encryption.');
   const { cryptoObj, subtle } = assertSubtleCryptoAvailable();
+  const params = currentKdfParams();
   const salt = cryptoObj.getRandomValues(new Uint8Array(SALT_LENGTH));
   const iv = cryptoObj.getRandomValues(new Uint8Array(IV_LENGTH));
   const passwordBytes = stringToUint8Array(password);
-  const aesKey = await deriveAesGcmKey(passwordBytes, salt);
+  const aesKey = await deriveAesGcmKey(passwordBytes, salt, params);
   const cipherBuffer = await subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, stringToUint8Array(plainKey));
-  const cipherBytes = new Uint8Array(cipherBuffer);
-  const packed = new Uint8Array(salt.length + iv.length + cipherBytes.length);
-  packed.set(salt, 0);
-  packed.set(iv, salt.length);
-  packed.set(cipherBytes, salt.length + iv.length);
-  return uint8ArrayToBase64(packed);
+  return [
+    `v${KEY_ENVELOPE_VERSION}`,
+    params.kdf,
+    params.iterations,
+    uint8ArrayToBase64(salt),
+    uint8ArrayToBase64(iv),
+    uint8ArrayToBase64(new Uint8Array(cipherBuffer)),
+  ].join('$');
 }
 
 async function resolveEncryptedOpenAIKey(password) {
@@ -169,7 +239,604 @@ async function resolveEncryptedOpenAIKey(password) {
   return decrypted;
 }
 
+// Provider keys from config.json (encryptedKey), cached by their packed value until the vault locks
+const decryptedProviderKeys = new Map();
+
+// -----------------------
+// Key vault
+// -----------------------
+// Provider keys entered in the app, encrypted with one vault password and stored in localStorage
+// as key_vault: { [providerId]: { encrypted, updatedAt } }. key_vault_check holds a known value
+// encrypted with the same password, written when the password is first chosen, so a password is
+// checked against the user's own vault and never against a deployment's config.json keys. Those
+// are tried with the vault password when used, or imported into the vault with their own password.
+// After security.vaultIdleMinutes without input the vault locks again and every decrypted key and
+// the password are dropped.
+const VAULT_CHECK_KEY = 'key_vault_check';
+const VAULT_CHECK = 'gradiolite-key-vault';
+const vaultDialog = $('#vault-dialog');
+const vaultOpenBtn = $('#vault-open');
+let vaultPassword = null;
+const vaultKeys = new Map();
+let vaultIdleTimer = null;
+
+function getVaultEntries() {
+  return storage.get('key_vault', {});
+}
+
+function isVaultUnlocked() {
+  return vaultPassword !== null;
+}
+
+function vaultHasPassword() {
+  return !!storage.get(VAULT_CHECK_KEY, null) || Object.keys(getVaultEntries()).length > 0 || atRestEnabled();
+}
+
+// An empty vault takes any password and remembers it in key_vault_check. Vaults saved before
+// the check value existed are checked against their keys and get one on the first unlock.
+async function unlockVault(password) {
+  if (!password) throw new Error('Enter the vault password.');
+  const check = storage.get(VAULT_CHECK_KEY, null);
+  if (check && await decryptPackedKey(check, password, 'key vault').catch(() => null) !== VAULT_CHECK) {
+    throw new Error('Password did not open the key vault.');
+  }
+  // With encryption at rest on, the saved workspace has to open with this password too
+  const restKey = atRestEnabled() ? await openAtRestKey(password) : null;
+  const entries = getVaultEntries();
+  const keys = new Map();
+  for (const [id, entry] of Object.entries(entries)) {
+    keys.set(id, await decryptPackedKey(entry.encrypted, password, `${id} key`));
+  }
+  if (!check) storage.set(VAULT_CHECK_KEY, await encryptPackedKey(VAULT_CHECK, password, 'key vault check'));
+  vaultPassword = password;
+  vaultKeys.clear();
+  keys.forEach((key, id) => vaultKeys.set(id, key));
+  if (openaiPasswordInput) openaiPasswordInput.value = '';
+  touchVault();
+  updateVaultState();
+  if (restKey) await unlockWorkspace(restKey);
+}
+
+// With encryption at rest the open workspace is saved and sealed first; if that fails the vault
+// stays unlocked (nothing half-locked) and the error is shown in the Keys dialog and the chat
+async function lockVault(reason = '') {
+  if (atRestKey) {
+    try {
+      await lockWorkspace();
+    } catch (e) {
+      const message = `The vault was not locked: saving the encrypted workspace failed (${e.message}).`;
+      vaultMessage(message);
+      appendChat('system', message);
+      return false;
+    }
+  }
+  const wasUnlocked = isVaultUnlocked();
+  vaultPassword = null;
+  vaultKeys.clear();
+  decryptedProviderKeys.clear();
+  relayTokens.clear();
+  cachedDecryptedOpenAIKey = null;
+  cachedDecryptionPassword = null;
+  if (openaiPasswordInput) openaiPasswordInput.value = '';
+  if (vaultIdleTimer) { clearTimeout(vaultIdleTimer); vaultIdleTimer = null; }
+  updateVaultState();
+  if (wasUnlocked && reason) appendChat('system', reason);
+  return true;
+}
+
+// Any input while unlocked restarts the idle countdown
+function touchVault() {
+  if (!isVaultUnlocked()) return;
+  if (vaultIdleTimer) clearTimeout(vaultIdleTimer);
+  const minutes = Number(appConfig.security?.vaultIdleMinutes ?? 15);
+  vaultIdleTimer = minutes > 0
+    ? setTimeout(() => lockVault(`Key vault locked after ${minutes} min without activity.`), minutes * 60000)
+    : null;
+}
+
+async function storeVaultKey(providerId, plainKey) {
+  if (!isVaultUnlocked()) throw new Error('Unlock the vault (or choose its password) first.');
+  const encrypted = await encryptPackedKey(plainKey, vaultPassword, `${providerId} key`);
+  storage.set('key_vault', { ...getVaultEntries(), [providerId]: { encrypted, updatedAt: Date.now() } });
+  vaultKeys.set(providerId, plainKey);
+}
+
+function deleteVaultKey(providerId) {
+  const entries = getVaultEntries();
+  delete entries[providerId];
+  storage.set('key_vault', entries);
+  vaultKeys.delete(providerId);
+}
+
+// Packed keys written with older parameters: [{ label, packed, target }], where target says
+// where the re-encrypted value goes (vault entry, localStorage or a config.json path)
+function outdatedKeys() {
+  const found = [];
+  const add = (label, packed, target) => {
+    try {
+      if (packed && keyNeedsUpgrade(packed)) found.push({ label, packed, target });
+    } catch {}
+  };
+  Object.entries(getVaultEntries()).forEach(([id, entry]) => add(`${id} (vault)`, entry.encrypted, { vault: id }));
+  if (encryptedOpenAIKey) {
+    const stored = storage.get('encrypted_openai_key', null) === encryptedOpenAIKey;
+    add('OpenAI key', encryptedOpenAIKey, stored ? { storage: 'encrypted_openai_key' } : { config: 'security.encryptedOpenAIKey' });
+  }
+  Object.values(appConfig.providers || {}).forEach((p) => {
+    if (p?.encryptedKey) add(`${p.label || p.id} key`, p.encryptedKey, { config: `providers.${p.id}.encryptedKey`, provider: p.id });
+  });
+  return found;
+}
+
+// Re-encrypts every outdated key with currentKdfParams(). Vault and localStorage entries are
+// rewritten in place; config.json cannot be written from here, so its new values are returned
+// ({ path, value }) for pasting into the file (the running session uses them straight away).
+async function reencryptOutdatedKeys() {
+  if (!isVaultUnlocked()) throw new Error('Unlock the vault first.');
+  const configUpdates = [];
+  for (const { label, packed, target } of outdatedKeys()) {
+    // config.json keys under another password than the vault's are left for importing
+    const plain = target.vault ? vaultKeys.get(target.vault) : await decryptPackedKey(packed, vaultPassword, label).catch(() => null);
+    if (plain === null) continue;
+    const value = await encryptPackedKey(plain, vaultPassword, label);
+    if (target.vault) {
+      storage.set('key_vault', { ...getVaultEntries(), [target.vault]: { ...getVaultEntries()[target.vault], encrypted: value } });
+    } else if (target.storage) {
+      storage.set(target.storage, value);
+      setEncryptedOpenAIKey(value);
+    } else {
+      configUpdates.push({ path: target.config, value });
+      if (target.provider) {
+        decryptedProviderKeys.set(value, plain);
+        appConfig.providers[target.provider].encryptedKey = value;
+      } else {
+        setEncryptedOpenAIKey(value);
+      }
+    }
+  }
+  return configUpdates;
+}
+
+// Relay providers (auth: "relay") never see the API key: the relay holds it and hands out
+// short-lived bearer tokens, in exchange for the team access code when the vault has one stored
+// for the provider. Tokens are reused until shortly before they expire.
+const relayTokens = new Map();
+
+function relayTokenUrl(provider) {
+  return provider.relayTokenUrl || new URL('/token', new URL(provider.baseUrl || provider.endpoint, location.href)).href;
+}
+
+// signal is the request's own; the token fetch also gives up after the provider's timeoutMs
+async function relayToken(provider, { refresh = false, signal } = {}) {
+  const cached = relayTokens.get(provider.id);
+  if (cached && !refresh && cached.expiresAt - Date.now() > 30000) return cached.token;
+  const label = provider.label || provider.id;
+  const hasCode = !!getVaultEntries()[provider.id];
+  if (hasCode && !isVaultUnlocked()) throw new Error(`The key vault is locked; enter the vault password to use the ${label} access code.`);
+  const url = relayTokenUrl(provider);
+  const { timeoutMs } = requestPolicy(provider);
+  const timer = createRequestTimer(signal, timeoutMs);
+  let r;
+  let data;
+  try {
+    r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accessCode: hasCode ? vaultKeys.get(provider.id) : '' }),
+      signal: timer.signal,
+    });
+    data = await r.json().catch(() => ({}));
+  } catch (e) {
+    if (signal?.aborted) throw abortError();
+    if (timer.timedOut) throw new Error(`The ${label} relay at ${url} did not hand out a token within ${Math.round(timeoutMs / 1000)}s.`);
+    throw new Error(`Could not reach the ${label} relay at ${url}: ${e.message}`);
+  } finally {
+    timer.clear();
+  }
+  if (signal?.aborted) throw abortError();
+  if (!r.ok || !data.token) throw new Error(data.error?.message || `The ${label} relay refused a token (HTTP ${r.status}).`);
+  relayTokens.set(provider.id, { token: data.token, expiresAt: Date.now() + (Number(data.expiresIn) || 60) * 1000 });
+  return data.token;
+}
+
+// Packed key config.json holds for a provider and the vault entry it is imported under (keys
+// shared through keyRef: "openai" go to the openai entry), or null
+function configuredKey(provider) {
+  if (provider.encryptedKey) return { packed: provider.encryptedKey, vaultId: provider.id };
+  if (provider.keyRef === 'openai' && encryptedOpenAIKey) return { packed: encryptedOpenAIKey, vaultId: 'openai' };
+  return null;
+}
+
+// Decrypts a config.json key with its own password (the vault password when left empty) and
+// stores it in the vault, where it takes precedence over config.json from then on
+async function importConfiguredKey(providerId, password) {
+  if (!isVaultUnlocked()) throw new Error('Unlock the vault first.');
+  const provider = getProvider(providerId);
+  const found = provider && configuredKey(provider);
+  if (!found) throw new Error(`assets/config.json has no key for ${provider?.label || providerId}.`);
+  const label = `${provider.label || provider.id} key in config.json`;
+  await storeVaultKey(found.vaultId, await decryptPackedKey(found.packed, password || vaultPassword, label));
+  return found.vaultId;
+}
+
+// options.refresh replaces a relay token the relay has rejected; options.signal cancels fetching one
+async function resolveProviderKey(provider, options = {}) {
+  if (provider.auth === 'none') return null;
+  if (provider.auth === 'relay') return relayToken(provider, options);
+  const label = `${provider.label || provider.id} key`;
+  const vaultId = [provider.id, provider.keyRef].find((id) => id && getVaultEntries()[id]);
+  const sharedOpenAI = provider.keyRef === 'openai' && encryptedOpenAIKey;
+  if (!vaultId && !provider.encryptedKey && !sharedOpenAI) {
+    throw new Error(`No key for ${provider.label || provider.id}. Add one in the key vault (Keys) or set providers.${provider.id}.encryptedKey in assets/config.json.`);
+  }
+  if (!isVaultUnlocked()) throw new Error(`The key vault is locked; enter the vault password to use the ${label}.`);
+  touchVault();
+  if (vaultId) return vaultKeys.get(vaultId);
+  try {
+    if (!provider.encryptedKey) return await resolveEncryptedOpenAIKey(vaultPassword);
+    if (!decryptedProviderKeys.has(provider.encryptedKey)) {
+      decryptedProviderKeys.set(provider.encryptedKey, await decryptPackedKey(provider.encryptedKey, vaultPassword, label));
+    }
+    return decryptedProviderKeys.get(provider.encryptedKey);
+  } catch (e) {
+    // config.json keys may have been encrypted with another password than the user's vault
+    if (!e.message.startsWith('Password did not')) throw e;
+    throw new Error(`The ${label} in assets/config.json does not open with the vault password. Import it under Keys with its own password.`);
+  }
+}
+
+function updateVaultState() {
+  const unlocked = isVaultUnlocked();
+  if (vaultOpenBtn) {
+    vaultOpenBtn.textContent = unlocked ? 'Keys: unlocked' : 'Keys: locked';
+    vaultOpenBtn.classList.toggle('unlocked', unlocked);
+  }
+  if (openaiPasswordInput) openaiPasswordInput.hidden = unlocked;
+  if (vaultDialog?.open) renderVault();
+}
+
+function vaultKeySource(provider) {
+  const entry = getVaultEntries()[provider.id];
+  if (provider.auth === 'relay') return entry ? `relay access code, saved ${new Date(entry.updatedAt).toLocaleDateString()}` : 'relay, no access code';
+  if (entry) return `vault, saved ${new Date(entry.updatedAt).toLocaleDateString()}`;
+  if (provider.encryptedKey) return 'config.json';
+  if (provider.keyRef && getVaultEntries()[provider.keyRef]) return `vault (${provider.keyRef} key)`;
+  if (provider.keyRef === 'openai' && encryptedOpenAIKey) return 'config.json (OpenAI key)';
+  return 'none';
+}
+
+function renderVault() {
+  const unlocked = isVaultUnlocked();
+  const minutes = Number(appConfig.security?.vaultIdleMinutes ?? 15);
+  $('#vault-status').textContent = unlocked
+    ? `Unlocked${minutes > 0 ? ` — locks after ${minutes} min without activity` : ''}.`
+    : vaultHasPassword()
+      ? 'Locked. Enter the vault password to use or change the keys.'
+      : 'Empty. Choose a vault password to start storing keys.';
+  $('#vault-unlock-row').hidden = unlocked;
+  $('#vault-manage').hidden = !unlocked;
+  const outdated = outdatedKeys();
+  const { kdf, iterations } = currentKdfParams();
+  const atRest = $('#vault-at-rest');
+  atRest.checked = atRestEnabled();
+  atRest.disabled = !unlocked;
+  $('#vault-upgrade-row').hidden = !outdated.length;
+  $('#vault-upgrade').disabled = !unlocked;
+  $('#vault-upgrade-note').textContent = outdated.length
+    ? `${outdated.length} key${outdated.length === 1 ? ' uses' : 's use'} older encryption parameters (${outdated.map((k) => k.label).join(', ')}); current: ${kdf}, ${iterations.toLocaleString()} iterations.`
+    : '';
+  const providers = Object.values(appConfig.providers || {}).filter((p) => p && p.enabled !== false && p.auth !== 'none');
+  const list = $('#vault-list');
+  list.replaceChildren(...providers.map((p) => {
+    const row = document.createElement('div');
+    row.className = 'vault-row';
+    const name = document.createElement('span');
+    name.textContent = p.label || p.id;
+    const source = document.createElement('span');
+    source.className = 'settings-note';
+    source.textContent = vaultKeySource(p);
+    row.append(name, source);
+    if (getVaultEntries()[p.id]) {
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.textContent = 'Delete';
+      del.disabled = !unlocked;
+      del.addEventListener('click', () => {
+        if (!confirm(`Delete the stored ${p.label || p.id} key?`)) return;
+        deleteVaultKey(p.id);
+        renderVault();
+      });
+      row.appendChild(del);
+    }
+    return row;
+  }));
+  const sel = $('#vault-provider');
+  const current = sel.value;
+  sel.replaceChildren(...providers.map((p) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.label || p.id;
+    return opt;
+  }));
+  if (providers.some((p) => p.id === current)) sel.value = current;
+}
+
+function vaultMessage(text) {
+  $('#vault-message').textContent = text;
+}
+
+async function withVaultMessage(action) {
+  vaultMessage('');
+  try {
+    await action();
+  } catch (e) {
+    vaultMessage(e.message);
+  }
+  renderVault();
+}
+
+vaultOpenBtn?.addEventListener('click', async () => {
+  await loadConfig();
+  vaultMessage('');
+  $('#vault-config-updates').hidden = true;
+  renderVault();
+  vaultDialog?.showModal();
+});
+$('#vault-close')?.addEventListener('click', () => vaultDialog?.close());
+$('#vault-lock')?.addEventListener('click', () => withVaultMessage(() => lockVault()));
+$('#vault-unlock')?.addEventListener('click', () => {
+  const input = $('#vault-password');
+  withVaultMessage(() => unlockVault(input.value).finally(() => { input.value = ''; }));
+});
+$('#vault-password')?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') $('#vault-unlock')?.click();
+});
+$('#vault-save')?.addEventListener('click', () => {
+  const input = $('#vault-key');
+  const providerId = $('#vault-provider').value;
+  withVaultMessage(async () => {
+    const replacing = !!getVaultEntries()[providerId];
+    await storeVaultKey(providerId, input.value.trim());
+    input.value = '';
+    vaultMessage(replacing ? `Replaced the ${providerId} key.` : `Saved the ${providerId} key.`);
+  });
+});
+$('#vault-import')?.addEventListener('click', () => {
+  const input = $('#vault-import-password');
+  const providerId = $('#vault-provider').value;
+  withVaultMessage(async () => {
+    const vaultId = await importConfiguredKey(providerId, input.value).finally(() => { input.value = ''; });
+    vaultMessage(`Imported the ${vaultId} key from assets/config.json into the vault.`);
+  });
+});
+$('#vault-upgrade')?.addEventListener('click', () => {
+  const out = $('#vault-config-updates');
+  withVaultMessage(async () => {
+    const updates = await reencryptOutdatedKeys();
+    out.hidden = !updates.length;
+    out.textContent = updates.map((u) => `${u.path}: "${u.value}"`).join('\n');
+    vaultMessage(updates.length
+      ? 'Re-encrypted. Replace these values in assets/config.json to keep the stronger encryption after a reload:'
+      : 'Re-encrypted with the current parameters.');
+  });
+});
+openaiPasswordInput?.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  unlockVault(openaiPasswordInput.value).catch((err) => appendChat('system', err.message));
+});
+['pointerdown', 'keydown'].forEach((type) => document.addEventListener(type, () => touchVault(), { passive: true }));
+
+// -----------------------
+// Encryption at rest
+// -----------------------
+// Optional: saved chat sessions (messages, editor content, runs) and the settings listed in
+// SEALED_SETTINGS are stored AES-GCM encrypted under a key derived from the vault password.
+// The at_rest record keeps the KDF parameters, the salt and a sealed check value. While the vault
+// is locked the workspace is closed: nothing is shown, saved or read back in plaintext.
+// Left in plaintext: the auto-fix and agent toggles, session ids and timestamps, and the key
+// records, which are encrypted on their own (the vault note in index.html says the same).
+const AT_REST_META_KEY = 'at_rest';
+const AT_REST_CHECK = 'gradiolite-at-rest';
+// storage key -> how it is named in messages
+const SEALED_SETTINGS = {
+  personas: 'personas',
+  active_persona: 'the active persona',
+  llm_settings: 'model settings',
+  llm_provider: 'the LLM provider',
+  runtime_provider: 'the runtime',
+  llm_budget: 'budget limits',
+  llm_usage: 'token usage',
+  context_chips: 'context chip choices',
+  active_chat_session: 'the open chat',
+};
+const SEALED_STORAGE_KEYS = Object.keys(SEALED_SETTINGS);
+const workspaceLockedEl = $('#workspace-locked');
+let atRestKey = null;
+let sealedWrites = Promise.resolve();
+
+function atRestMeta() {
+  try { return JSON.parse(localStorage.getItem(AT_REST_META_KEY)); } catch { return null; }
+}
+
+function atRestEnabled() {
+  return !!atRestMeta()?.enabled;
+}
+
+function workspaceLocked() {
+  return atRestEnabled() && !atRestKey;
+}
+
+function isSealedStorageKey(key) {
+  return SEALED_STORAGE_KEYS.includes(key) && atRestEnabled();
+}
+
+// -> "iv.cipher" (base64) of the JSON value
+async function sealValue(value, key = atRestKey) {
+  const { cryptoObj, subtle } = assertSubtleCryptoAvailable();
+  const iv = cryptoObj.getRandomValues(new Uint8Array(IV_LENGTH));
+  const cipher = await subtle.encrypt({ name: 'AES-GCM', iv }, key, stringToUint8Array(JSON.stringify(value)));
+  return `${uint8ArrayToBase64(iv)}.${uint8ArrayToBase64(new Uint8Array(cipher))}`;
+}
+
+async function unsealValue(sealed, key = atRestKey) {
+  const { subtle } = assertSubtleCryptoAvailable();
+  const [iv, cipher] = String(sealed).split('.');
+  const plain = await subtle.decrypt({ name: 'AES-GCM', iv: base64ToUint8Array(iv) }, key, base64ToUint8Array(cipher));
+  return JSON.parse(textDecoder.decode(plain));
+}
+
+// Derives the data key and checks it against the sealed check value
+async function openAtRestKey(password, meta = atRestMeta()) {
+  const key = await deriveAesGcmKey(stringToUint8Array(password), base64ToUint8Array(meta.salt), meta);
+  try {
+    if (await unsealValue(meta.check, key) === AT_REST_CHECK) return key;
+  } catch {}
+  throw new Error('Password did not open the encrypted workspace.');
+}
+
+// Sealed writes are queued so an older value can never land after a newer one; a failure is kept
+// in sealedWriteError for lockWorkspace, which must not drop the key over unsaved settings.
+// While locked nothing is written: the change is refused and the user told once per setting.
+let sealedWriteError = null;
+const lockedWriteNotices = new Set();
+function writeSealedStorage(key, value) {
+  if (!atRestKey) {
+    if (!lockedWriteNotices.has(key)) {
+      lockedWriteNotices.add(key);
+      appendChat('system', `Not saved: ${SEALED_SETTINGS[key]}. Settings are encrypted; unlock the vault to change them.`);
+    }
+    return false;
+  }
+  sealedStorage.set(key, value);
+  const dataKey = atRestKey;
+  sealedWrites = sealedWrites
+    .then(async () => localStorage.setItem(key, JSON.stringify({ $sealed: await sealValue(value, dataKey) })))
+    .catch((e) => {
+      console.warn(`Failed to save ${key}:`, e);
+      sealedWriteError = e;
+    });
+  return true;
+}
+
+// Session records in IndexedDB: { id, updatedAt, sealed } while encryption at rest is on
+async function sealSession(session) {
+  if (!atRestEnabled()) return session;
+  if (!atRestKey) throw new Error('Saved chats are encrypted; unlock the vault to save.');
+  return { id: session.id, updatedAt: session.updatedAt, sealed: await sealValue(session) };
+}
+
+async function openSealedSession(record) {
+  if (!record?.sealed) return record;
+  if (!atRestKey) return { id: record.id, updatedAt: record.updatedAt, title: 'Encrypted chat', messages: [], locked: true };
+  return { ...(await unsealValue(record.sealed)), id: record.id };
+}
+
+async function unlockWorkspace(key) {
+  atRestKey = key;
+  lockedWriteNotices.clear();
+  for (const name of SEALED_STORAGE_KEYS) {
+    let raw = null;
+    try { raw = JSON.parse(localStorage.getItem(name)); } catch {}
+    // Values left in plaintext (written before encryption was turned on) are sealed now
+    const value = raw?.$sealed ? await unsealValue(raw.$sealed) : raw;
+    if (value !== null) writeSealedStorage(name, value);
+  }
+  if (workspaceLockedEl) workspaceLockedEl.hidden = true;
+  renderLLMProviders();
+  renderPersonaSelect();
+  renderLLMSettings();
+  renderBudgetInputs();
+  restoreContextChips();
+  updateUsageDisplay();
+  const runtime = storage.get('runtime_provider', null);
+  if (runtime && runtime !== runtimeProviderSel.value) {
+    runtimeProviderSel.value = runtime;
+    runtimeProviderSel.dispatchEvent(new Event('change'));
+  }
+  await initChatSessions();
+}
+
+// Saves the open chat while the key is still there, then drops every decrypted copy. Rejects,
+// leaving the workspace open, when the chat or a setting could not be written.
+async function lockWorkspace() {
+  cancelChatActivity();
+  if (sessionSaveTimer) { clearTimeout(sessionSaveTimer); sessionSaveTimer = null; }
+  const snap = snapshotActiveSession();
+  if (snap) {
+    await sessionDb.put(snap);
+    activeSession = snap;
+  }
+  await sealedWrites;
+  if (sealedWriteError) {
+    const error = sealedWriteError;
+    sealedWriteError = null;
+    throw error;
+  }
+  atRestKey = null;
+  sealedStorage.clear();
+  closeWorkspace();
+}
+
+function closeWorkspace() {
+  if (sessionSaveTimer) { clearTimeout(sessionSaveTimer); sessionSaveTimer = null; }
+  activeSession = null;
+  chatHistory.splice(1);
+  chatLog.replaceChildren();
+  lastRunOutput = null;
+  if (sessionTitleEl) sessionTitleEl.textContent = 'Locked';
+  if (monacoEditor) setEditorValue('');
+  if (workspaceLockedEl) workspaceLockedEl.hidden = false;
+  renderPersonaSelect();
+  renderLLMSettings();
+  renderBudgetInputs();
+  restoreContextChips();
+  updateUsageDisplay();
+  renderSessionList();
+  updateContextMeter();
+}
+
+async function enableAtRest() {
+  if (!isVaultUnlocked()) throw new Error('Unlock the vault first.');
+  if (activeSession) await saveActiveSession();
+  const sessions = await sessionDb.list();
+  const settings = SEALED_STORAGE_KEYS.map((name) => [name, storage.get(name, null)]);
+  const { kdf, iterations } = currentKdfParams();
+  const salt = getCrypto().getRandomValues(new Uint8Array(SALT_LENGTH));
+  const key = await deriveAesGcmKey(stringToUint8Array(vaultPassword), salt, { kdf, iterations });
+  const meta = { enabled: true, kdf, iterations, salt: uint8ArrayToBase64(salt), check: await sealValue(AT_REST_CHECK, key) };
+  localStorage.setItem(AT_REST_META_KEY, JSON.stringify(meta));
+  atRestKey = key;
+  for (const session of sessions) await sessionDb.put(session);
+  settings.forEach(([name, value]) => { if (value !== null) writeSealedStorage(name, value); });
+  await sealedWrites;
+}
+
+async function disableAtRest() {
+  if (!atRestKey) throw new Error('Unlock the vault first.');
+  if (activeSession) await saveActiveSession();
+  const sessions = await sessionDb.list();
+  const settings = SEALED_STORAGE_KEYS.map((name) => [name, storage.get(name, null)]);
+  await sealedWrites;
+  localStorage.removeItem(AT_REST_META_KEY);
+  atRestKey = null;
+  sealedStorage.clear();
+  for (const session of sessions) await sessionDb.put(session);
+  settings.forEach(([name, value]) => { if (value !== null) storage.set(name, value); });
+}
+
+$('#vault-at-rest')?.addEventListener('change', (e) => {
+  const enable = e.target.checked;
+  withVaultMessage(async () => {
+    await (enable ? enableAtRest() : disableAtRest());
+    vaultMessage(enable
+      ? 'Saved chats, editor content and settings are now encrypted with the vault password.'
+      : 'Saved data is stored unencrypted again.');
+  });
+});
+$('#workspace-unlock')?.addEventListener('click', () => vaultOpenBtn?.click());
+
 window.gradioliteEncryptOpenAIKey = async function gradioliteEncryptOpenAIKey(plainKey, password) {
+  await loadConfig();
   const encrypted = await encryptOpenAIKeyWithPassword(plainKey, password);
   console.log('Encrypted OpenAI key:', encrypted);
   return encrypted;
@@ -181,16 +848,19 @@ window.gradioliteSetEncryptedOpenAIKey = function gradioliteSetEncryptedOpenAIKe
   return encryptedOpenAIKey;
 };
 
-// Restore LLM provider settings
+// Restore LLM provider settings (options are re-rendered from the provider registry once config loads)
 llmProviderSel.value = storage.get('llm_provider', 'openai');
 if (openaiPasswordInput) openaiPasswordInput.value = '';
 runtimeProviderSel.value = storage.get('runtime_provider', 'pyodide');
 
 saveLLMBtn.addEventListener('click', () => {
-  storage.set('llm_provider', llmProviderSel.value);
-  storage.set('runtime_provider', runtimeProviderSel.value);
-  appendChat('system', `Saved LLM provider: ${llmProviderSel.value} (password not stored)`);
+  const saved = [
+    storage.set('llm_provider', llmProviderSel.value),
+    storage.set('runtime_provider', runtimeProviderSel.value),
+  ].every(Boolean);
+  if (saved) appendChat('system', `Saved LLM provider: ${llmProviderSel.value} (password not stored)`);
 });
+updateVaultState();
 
 // Monaco Editor setup (VS Code-like editor)
 let monacoEditor = null;
@@ -202,9 +872,28 @@ let appConfig = {
   cdn: {
     pyodideBase: 'https://cdn.jsdelivr.net/pyodide/v0.26.1/full/',
     gradioLite: 'https://cdn.jsdelivr.net/npm/@gradio/lite/dist/lite.js',
-    monacoBase: 'https://cdn.jsdelivr.net/npm/monaco-editor@0.48.0/min/vs'
+    monacoBase: 'https://cdn.jsdelivr.net/npm/monaco-editor@0.48.0/min/vs',
+    markedJs: 'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js',
+    domPurify: 'https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js'
+  },
+  // LLM provider registry; entries from config.json are merged over these by id
+  providers: {
+    toy: { label: 'Toy (offline)', adapter: 'toy', auth: 'none' },
+    openai: {
+      label: 'OpenAI API',
+      adapter: 'openai',
+      baseUrl: 'https://api.openai.com/v1',
+      auth: 'bearer',
+      keyRef: 'openai',
+      models: ['gpt-5-mini'],
+      stream: true
+    }
   },
-  security: { encryptedOpenAIKey: null },
+  autoFix: { maxAttempts: 3 },
+  agent: { maxSteps: 12 },
+  // Token budget per request: providers[id].contextTokens, else defaultTokens, minus replyReserveTokens
+  context: { strategy: 'trim', defaultTokens: 16000, replyReserveTokens: 2048 },
+  security: { encryptedOpenAIKey: null, vaultIdleMinutes: 15, kdf: DEFAULT_KDF, kdfIterations: DEFAULT_KDF_ITERATIONS },
   tips: [],
   tipsByArea: { chat: [], code: [], examples: [], output: [] }
 };
@@ -213,7 +902,22 @@ if (!encryptedOpenAIKey && appConfig.security?.encryptedOpenAIKey) {
   setEncryptedOpenAIKey(appConfig.security.encryptedOpenAIKey);
 }
 
-async function loadConfig() {
+let configLoadPromise = null;
+function loadConfig() {
+  if (!configLoadPromise) configLoadPromise = fetchAppConfig();
+  return configLoadPromise;
+}
+
+function mergeProviders(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([id, p]) => {
+    if (!p || typeof p !== 'object') return;
+    merged[id] = { ...(base[id] || {}), ...p };
+  });
+  return merged;
+}
+
+async function fetchAppConfig() {
   try {
     const r = await fetch('assets/config.json', { cache: 'no-cache' });
     if (!r.ok) return;
@@ -222,7 +926,8 @@ async function loadConfig() {
       ...appConfig,
       ...cfg,
       gradioLite: { ...appConfig.gradioLite, ...(cfg.gradioLite || {}) },
-      cdn: { ...appConfig.cdn, ...(cfg.cdn || {}) }
+      cdn: { ...appConfig.cdn, ...(cfg.cdn || {}) },
+      providers: mergeProviders(appConfig.providers, cfg.providers)
     };
     const cfgEncrypted = cfg?.security?.encryptedOpenAIKey ?? cfg?.encryptedOpenAIKey ?? appConfig?.security?.encryptedOpenAIKey ?? appConfig?.encryptedOpenAIKey;
     if (cfgEncrypted) setEncryptedOpenAIKey(cfgEncrypted);
@@ -250,7 +955,13 @@ async function loadConfig() {
   } catch {}
 }
 
-async function ensureMonaco() {
+let monacoLoadPromise = null;
+function ensureMonaco() {
+  if (!monacoLoadPromise) monacoLoadPromise = loadMonaco();
+  return monacoLoadPromise;
+}
+
+async function loadMonaco() {
   if (monacoNS && monacoEditor) return;
   await loadConfig();
   // Load AMD loader
@@ -285,6 +996,7 @@ async function ensureMonaco() {
   });
   // Layout on resize of window for safety (automaticLayout helps too)
   window.addEventListener('resize', () => monacoEditor && monacoEditor.layout());
+  monacoEditor.onDidChangeModelContent(() => scheduleSessionSave());
 }
 
 function setEditorValue(text) {
@@ -293,23 +1005,268 @@ function setEditorValue(text) {
 function getEditorValue() {
   return monacoEditor ? monacoEditor.getValue() : '';
 }
+function monacoLanguageId(lang) {
+  const map = { py: 'python', python: 'python', js: 'javascript', javascript: 'javascript', ts: 'typescript', typescript: 'typescript', html: 'html', css: 'css', json: 'json', md: 'markdown', markdown: 'markdown', bash: 'shell', sh: 'shell', shell: 'shell' };
+  return map[lang] || null;
+}
 function setEditorLanguage(lang) {
   if (!monacoEditor || !monacoNS) return;
   const model = monacoEditor.getModel();
-  const map = { py: 'python', python: 'python', js: 'javascript', ts: 'typescript', html: 'html', md: 'markdown', bash: 'shell' };
-  const target = map[lang] || 'python';
+  const target = monacoLanguageId(lang) || 'python';
   monacoNS.editor.setModelLanguage(model, target);
 }
 
+// Put a snippet in the editor and (optionally) switch the runtime that should run it
+function loadSnippetIntoEditor(code, language, runtime) {
+  const lang = (language || 'python').toLowerCase();
+  setEditorLanguage(lang);
+  if (codeLang) codeLang.textContent = lang;
+  setEditorValue(code || '');
+  if (runtime && runtimeProviderSel) {
+    runtimeProviderSel.value = runtime;
+    runtimeProviderSel.dispatchEvent(new Event('change'));
+  }
+}
+
+// Runtime a snippet clearly targets, or null when nothing in it decides
+function guessRuntimeForCode(code, language, tags = []) {
+  const lang = (language || '').toLowerCase();
+  const blob = `${code || ''} ${tags.join(' ')}`.toLowerCase();
+  if (lang === 'html' || looksLikeHtml(code || '')) return 'html-preview';
+  if (blob.includes('<gradio-lite') || /\bimport\s+gradio\b|\bgradio\b/.test(blob)) return 'gradio-lite';
+  return null;
+}
+
 // Chat utils
-function appendChat(role, content) {
+// Assistant messages are rendered as Markdown unless { markdown: false } is passed.
+// User messages show attached context blocks as tags instead of their full text.
+function appendChat(role, content, { markdown = role === 'assistant' } = {}) {
   const div = document.createElement('div');
   div.className = `msg ${role}`;
-  div.textContent = content;
+  if (markdown) renderAssistantMessage(div, content);
+  else if (role === 'user') renderUserMessage(div, content);
+  else div.textContent = content;
   chatLog.appendChild(div);
   chatLog.scrollTop = chatLog.scrollHeight;
 }
 
+function renderUserMessage(el, content) {
+  const { contexts, text, images } = splitMessageContext(content);
+  el.textContent = text;
+  if (images.length) {
+    const strip = document.createElement('div');
+    strip.className = 'msg-images';
+    images.forEach((p) => {
+      const img = document.createElement('img');
+      img.src = `data:${p.mime};base64,${p.data}`;
+      img.alt = 'attached image';
+      strip.appendChild(img);
+    });
+    el.appendChild(strip);
+  }
+  if (!contexts.length) return;
+  const tags = document.createElement('div');
+  tags.className = 'msg-context';
+  contexts.forEach((name) => {
+    const tag = document.createElement('span');
+    tag.className = 'tag';
+    tag.textContent = `+ ${name}`;
+    tags.appendChild(tag);
+  });
+  el.appendChild(tags);
+}
+
+// -----------------------
+// Markdown rendering for assistant replies
+// -----------------------
+let markdownLibsPromise = null;
+const messageRenderSeq = new WeakMap();
+
+function loadScriptOnce(src) {
+  return new Promise((resolve, reject) => {
+    const s = document.createElement('script');
+    s.src = src;
+    s.onload = resolve;
+    s.onerror = reject;
+    document.head.appendChild(s);
+  });
+}
+
+// marked + DOMPurify from the CDN; resolves to null when unavailable (offline) so callers fall back to text
+function ensureMarkdownLibs() {
+  if (!markdownLibsPromise) {
+    markdownLibsPromise = (async () => {
+      await loadConfig();
+      if (!globalThis.marked) await loadScriptOnce(appConfig.cdn.markedJs);
+      if (!globalThis.DOMPurify) await loadScriptOnce(appConfig.cdn.domPurify);
+      return { marked: globalThis.marked, DOMPurify: globalThis.DOMPurify };
+    })().catch((e) => {
+      console.warn('Markdown renderer unavailable, showing plain text:', e);
+      return null;
+    });
+  }
+  return markdownLibsPromise;
+}
+
+// Split markdown into text and fenced-code segments; keeps every block, in order.
+// An unclosed trailing fence (e.g. a truncated reply) becomes a block running to the end.
+function extractCodeBlocks(md) {
+  const segments = [];
+  const lines = (md || '').split('\n');
+  let text = [];
+  let block = null;
+  const flushText = () => {
+    if (text.join('').trim()) segments.push({ type: 'text', text: text.join('\n') });
+    text = [];
+  };
+  lines.forEach((line) => {
+    if (block) {
+      if (/^\s{0,3}```\s*$/.test(line)) {
+        segments.push({ type: 'code', language: block.language, code: block.lines.join('\n') });
+        block = null;
+      } else {
+        block.lines.push(line);
+      }
+      return;
+    }
+    const open = line.match(/^\s{0,3}```\s*([\w+#.-]*)/);
+    if (open) {
+      flushText();
+      block = { language: open[1] ? open[1].toLowerCase() : null, lines: [] };
+    } else {
+      text.push(line);
+    }
+  });
+  if (block) segments.push({ type: 'code', language: block.language, code: block.lines.join('\n') });
+  flushText();
+  return segments;
+}
+
+const RUNTIME_LABELS = {
+  'pyodide': 'Pyodide',
+  'gradio-lite': 'Gradio Lite',
+  'jupyterlite': 'JupyterLite',
+  'html-preview': 'HTML Preview',
+};
+
+// Target runtime for a chat code block; null when it is not runnable here
+function runtimeForChatBlock(code, language) {
+  const guessed = guessRuntimeForCode(code, language);
+  if (guessed) return guessed;
+  const lang = (language || 'python').toLowerCase();
+  if (lang !== 'python' && lang !== 'py') return null;
+  const current = runtimeProviderSel.value;
+  return current === 'html-preview' || current === 'gradio-lite' ? 'pyodide' : current;
+}
+
+function createCodeBlockEl(code, language) {
+  const lang = (language || 'python').toLowerCase();
+  const runtime = runtimeForChatBlock(code, lang);
+  const wrap = document.createElement('div');
+  wrap.className = 'md-code';
+  const hdr = document.createElement('div');
+  hdr.className = 'md-code-hdr';
+  const label = document.createElement('span');
+  label.className = 'md-code-lang';
+  label.textContent = runtime ? `${lang} · ${RUNTIME_LABELS[runtime] || runtime}` : lang;
+  hdr.appendChild(label);
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const edits = lang === 'diff' || /^<{5,7} SEARCH/m.test(code) ? parseCodeEdits(`\`\`\`${lang}\n${code}\n\`\`\``) : [];
+  if (edits.length) {
+    const reviewBtn = document.createElement('button');
+    reviewBtn.type = 'button';
+    reviewBtn.textContent = 'Review';
+    reviewBtn.addEventListener('click', () => openDiffReview(getEditorValue(), edits));
+    actions.appendChild(reviewBtn);
+  }
+  const insertBtn = document.createElement('button');
+  insertBtn.type = 'button';
+  insertBtn.textContent = 'Insert';
+  insertBtn.addEventListener('click', () => loadSnippetIntoEditor(code, lang, runtime));
+  actions.appendChild(insertBtn);
+  if (runtime) {
+    const runBtn2 = document.createElement('button');
+    runBtn2.type = 'button';
+    runBtn2.textContent = 'Run';
+    runBtn2.addEventListener('click', () => {
+      loadSnippetIntoEditor(code, lang, runtime);
+      runEditorCode({ origin: 'chat' });
+    });
+    actions.appendChild(runBtn2);
+  }
+  const copyBtn = document.createElement('button');
+  copyBtn.type = 'button';
+  copyBtn.textContent = 'Copy';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      copyBtn.textContent = 'Copied';
+    } catch {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1200);
+  });
+  actions.appendChild(copyBtn);
+  hdr.appendChild(actions);
+  const pre = document.createElement('pre');
+  const codeEl = document.createElement('code');
+  codeEl.textContent = code;
+  pre.appendChild(codeEl);
+  wrap.appendChild(hdr);
+  wrap.appendChild(pre);
+  return { wrap, codeEl, lang };
+}
+
+async function highlightCodeEl(codeEl, code, lang) {
+  const languageId = monacoLanguageId(lang);
+  if (!languageId) return;
+  try {
+    await ensureMonaco();
+    // colorize() escapes the source and only emits Monaco's own token spans
+    codeEl.innerHTML = await monacoNS.editor.colorize(code, languageId, { tabSize: 4 });
+  } catch {}
+}
+
+async function renderAssistantMessage(el, md) {
+  const seq = (messageRenderSeq.get(el) || 0) + 1;
+  messageRenderSeq.set(el, seq);
+  const libs = await ensureMarkdownLibs();
+  // A newer render (or a streamed update) for this bubble supersedes this one
+  if (messageRenderSeq.get(el) !== seq) return;
+  const frag = document.createDocumentFragment();
+  const pending = [];
+  extractCodeBlocks(md).forEach((seg) => {
+    if (seg.type === 'code') {
+      const { wrap, codeEl, lang } = createCodeBlockEl(seg.code, seg.language);
+      frag.appendChild(wrap);
+      pending.push(() => highlightCodeEl(codeEl, seg.code, lang));
+      return;
+    }
+    const div = document.createElement('div');
+    div.className = 'md-text';
+    if (libs?.marked && libs?.DOMPurify) {
+      div.innerHTML = libs.DOMPurify.sanitize(libs.marked.parse(seg.text));
+      div.querySelectorAll('a[href]').forEach((a) => { a.target = '_blank'; a.rel = 'noopener noreferrer'; });
+    } else {
+      div.classList.add('plain');
+      div.textContent = seg.text;
+    }
+    frag.appendChild(div);
+  });
+  el.classList.add('md');
+  el.replaceChildren(frag);
+  chatLog.scrollTop = chatLog.scrollHeight;
+  pending.forEach((fn) => fn());
+}
+
+// Used while streaming: plain text until the reply is complete
+function setMessageText(el, text) {
+  messageRenderSeq.set(el, (messageRenderSeq.get(el) || 0) + 1);
+  el.classList.remove('md');
+  el.textContent = text;
+}
+
 // Code extraction from markdown fences
 function extractCodeFromMarkdown(md) {
   if (!md) return { language: null, code: '' };
@@ -330,6 +1287,67 @@ function extractCodeFromMarkdown(md) {
   return { language: null, code: md.trim() };
 }
 
+// First fenced block of a partial (still streaming) reply; the fence may not be closed yet.
+function extractStreamingFence(md) {
+  const open = (md || '').match(/```(\w+)?[^\n]*\n/);
+  if (!open) return null;
+  const start = open.index + open[0].length;
+  const end = md.indexOf('```', start);
+  return {
+    language: open[1] ? open[1].toLowerCase() : null,
+    code: end === -1 ? md.slice(start) : md.slice(start, end),
+    closed: end !== -1,
+  };
+}
+
+// Renders streamed text into a chat bubble and the open code fence into the editor,
+// at most once per animation frame.
+// Edit replies (diff / SEARCH-REPLACE) are never streamed into the editor; restoreEditor()
+// puts back what the editor held before the reply started.
+function createReplyStreamer(bubble) {
+  let latest = '';
+  let frame = null;
+  let lastLang = null;
+  let lastCode = null;
+  const originalCode = getEditorValue();
+  const originalLang = (codeLang.textContent || 'python').trim();
+  const flush = () => {
+    frame = null;
+    setMessageText(bubble, latest);
+    chatLog.scrollTop = chatLog.scrollHeight;
+    const fence = extractStreamingFence(latest);
+    if (!fence || fence.code === lastCode) return;
+    if (fence.language === 'diff' || /^<{5,7} SEARCH/m.test(latest)) return;
+    if (fence.language && fence.language !== lastLang) {
+      lastLang = fence.language;
+      codeLang.textContent = fence.language;
+      setEditorLanguage(fence.language);
+    }
+    lastCode = fence.code;
+    setEditorValue(fence.code);
+    if (monacoEditor) monacoEditor.revealLine(monacoEditor.getModel().getLineCount());
+  };
+  return {
+    push(delta, full) {
+      latest = full;
+      if (frame === null) frame = requestAnimationFrame(flush);
+    },
+    stop() {
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+    },
+    originalCode,
+    get text() { return latest; },
+    restoreEditor() {
+      if (lastCode === null) return;
+      codeLang.textContent = originalLang;
+      setEditorLanguage(originalLang);
+      setEditorValue(originalCode);
+      lastCode = null;
+    },
+  };
+}
+
 function isWebsitePrompt(text) {
   if (!text) return false;
   return /(make|build|create|design|generate)\s+(a\s+)?(website|web\s*site|web\s*page|landing\s*page|portfolio\s*site|homepage)/i.test(text)
@@ -408,7 +1426,7 @@ function renderHtmlPreview(html) {
 // We keep this lightweight; it's not used to run user code. That happens in a separate worker.
 let pyodideReady = false;
 let pyodide;
-(async function initChatPyodide() {
+const chatPyodideReady = (async function initChatPyodide() {
   try {
     // Load Pyodide from CDN. This runs in main thread, small footprint for chat logic.
     // Note: Execution of user code is isolated in a dedicated worker.
@@ -421,7 +1439,10 @@ let pyodide;
     // we dynamically create the script once and then call loadPyodide from window.
     await ensurePyodideScript();
     pyodide = await globalThis.loadPyodide({ indexURL: 'https://cdn.jsdelivr.net/pyodide/v0.26.1/full/' });
-    await pyodide.runPythonAsync();
+    // Offline Toy LLM: defines toy_llm_response(prompt, examples_json, runtime)
+    const r = await fetch('assets/toy_llm.py', { cache: 'no-cache' });
+    if (!r.ok) throw new Error(`Failed to load toy_llm.py: ${r.status}`);
+    await pyodide.runPythonAsync(await r.text());
     pyodideReady = true;
   } catch (e) {
     console.error('Failed to init chat Pyodide:', e);
@@ -443,76 +1464,1313 @@ async function ensurePyodideScript() {
   });
 }
 
-// LLM provider abstraction
-async function callLLM(messages) {
-  const provider = llmProviderSel.value;
-  if (provider === 'openai') {
-    const password = openaiPasswordInput ? openaiPasswordInput.value : '';
-    const key = await resolveEncryptedOpenAIKey(password);
-    return callOpenAI(messages, key);
-  }
-  return callToyLLM(messages);
-}
-
-async function callToyLLM(messages) {
-  // Use Pyodide toy function to craft a deterministic response with Python code.
-  const last = messages[messages.length - 1]?.content || '';
-  if (!pyodideReady) return 'Toy LLM initializing, please retry...';
-  const resp = await pyodide.runPythonAsync(`toy_llm_response(${JSON.stringify(last)})`);
-  return resp;
-}
-
-async function callOpenAI(messages, key) {
-  // Simple, model-agnostic call using Chat Completions. No backend.
-  const body = {
-    model: 'gpt-5-mini',  
-    messages,
-    
-  };
-  const r = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${key}`,
+// -----------------------
+// LLM provider registry
+// -----------------------
+// Each adapter maps the chat history onto a provider's wire format:
+// buildRequest -> { url, headers, body }, parseResponse(json) -> text,
+// and parseStreamChunk(data, eventName) -> text delta for streamed replies.
+// params lists the generation settings the adapter maps (see providerParams);
+// reasoningLevels are the choices offered for the reasoning setting.
+// applySchema(body, schema), when present, asks for JSON matching a schema (structured output).
+// parseUsage(json) and streamUsage(data, eventName) -> { input?, output? } token counts, or null.
+// withImages(message) maps a message whose content has { type: 'image', mime, data } parts (base64)
+// onto the provider's image format; it is only used for models that take images (see acceptsImages).
+const llmAdapters = {
+  openai: {
+    streamFormat: 'sse',
+    params: ['temperature', 'maxTokens', 'reasoning'],
+    reasoningLevels: ['minimal', 'low', 'medium', 'high'],
+    buildRequest(provider, messages, { model, stream, params = {} }) {
+      const base = (provider.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+      const body = { model, messages, stream };
+      // The final streamed chunk then carries the token usage
+      if (stream && provider.streamUsage !== false) body.stream_options = { include_usage: true };
+      if (params.temperature != null) body.temperature = params.temperature;
+      // Reasoning models on api.openai.com only accept max_completion_tokens
+      if (params.maxTokens != null) body[provider.maxTokensParam || 'max_tokens'] = params.maxTokens;
+      if (params.reasoning) body.reasoning_effort = params.reasoning;
+      return {
+        url: provider.endpoint || `${base}/chat/completions`,
+        headers: {},
+        body,
+      };
     },
-    body: JSON.stringify(body),
-  });
-  if (!r.ok) {
-    const txt = await r.text();
-    throw new Error(`OpenAI error: ${r.status} ${txt}`);
-  }
-  const data = await r.json();
-  const content = data.choices?.[0]?.message?.content || '';
-  return content;
-}
+    applySchema(body, schema) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'code_reply', strict: true, schema } };
+    },
+    parseResponse(data) {
+      return data.choices?.[0]?.message?.content || '';
+    },
+    parseStreamChunk(data) {
+      if (data === '[DONE]') return null;
+      const chunk = JSON.parse(data);
+      if (chunk.error) throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+      return chunk.choices?.[0]?.delta?.content || null;
+    },
+    parseUsage(data) {
+      const u = data.usage;
+      return u ? { input: u.prompt_tokens || 0, output: u.completion_tokens || 0 } : null;
+    },
+    withImages(message) {
+      return {
+        ...message,
+        content: message.content.map((p) => (p.type === 'image' ? { type: 'image_url', image_url: { url: `data:${p.mime};base64,${p.data}` } } : p)),
+      };
+    },
+    streamUsage(data) {
+      return data.includes('"usage"') ? this.parseUsage(JSON.parse(data)) : null;
+    },
+    // Tool calling (agent mode): { text, calls: [{ id, name, args }], message } per turn
+    buildToolRequest(provider, messages, tools, opts) {
+      const req = this.buildRequest(provider, messages, { ...opts, stream: false });
+      req.body.tools = tools.map((t) => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+      return req;
+    },
+    parseToolResponse(data) {
+      const message = data.choices?.[0]?.message || { role: 'assistant', content: '' };
+      const calls = (message.tool_calls || []).map((c) => ({ id: c.id, name: c.function?.name, args: parseToolArgs(c.function?.arguments) }));
+      return { text: message.content || '', calls, message };
+    },
+    toolResultMessages(calls, results) {
+      return calls.map((c, i) => ({ role: 'tool', tool_call_id: c.id, content: results[i] }));
+    },
+  },
+  anthropic: {
+    streamFormat: 'sse',
+    params: ['temperature', 'maxTokens', 'reasoning'],
+    reasoningLevels: ['low', 'medium', 'high'],
+    thinkingBudgets: { low: 1024, medium: 4096, high: 16000 },
+    buildRequest(provider, messages, { model, stream, params = {} }) {
+      const base = (provider.baseUrl || 'https://api.anthropic.com').replace(/\/$/, '');
+      const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+      const body = {
+        model,
+        max_tokens: params.maxTokens || provider.maxTokens || 4096,
+        messages: messages.filter((m) => m.role !== 'system'),
+        stream,
+      };
+      if (system) body.system = system;
+      const budget = this.thinkingBudgets[params.reasoning];
+      if (budget) {
+        // Extended thinking needs room for the reply on top of the budget and rejects temperature
+        body.thinking = { type: 'enabled', budget_tokens: budget };
+        body.max_tokens = Math.max(body.max_tokens, budget + 1024);
+      } else if (params.temperature != null) {
+        body.temperature = params.temperature;
+      }
+      return {
+        url: provider.endpoint || `${base}/v1/messages`,
+        headers: {
+          'anthropic-version': provider.apiVersion || '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body,
+      };
+    },
+    parseResponse(data) {
+      return (data.content || []).filter((b) => b.type === 'text').map((b) => b.text).join('');
+    },
+    parseStreamChunk(data, eventName) {
+      const evt = JSON.parse(data);
+      if (eventName === 'error' || evt.type === 'error') throw new Error(evt.error?.message || 'stream error');
+      if (evt.type === 'content_block_delta' && evt.delta?.type === 'text_delta') return evt.delta.text;
+      return null;
+    },
+    parseUsage(data) {
+      const u = data.usage;
+      return u ? { input: u.input_tokens || 0, output: u.output_tokens || 0 } : null;
+    },
+    withImages(message) {
+      return {
+        ...message,
+        content: message.content.map((p) => (p.type === 'image' ? { type: 'image', source: { type: 'base64', media_type: p.mime, data: p.data } } : p)),
+      };
+    },
+    // Input tokens arrive with message_start, the output count with the closing message_delta
+    streamUsage(data) {
+      const evt = JSON.parse(data);
+      if (evt.type === 'message_start' && evt.message?.usage) return { input: evt.message.usage.input_tokens || 0 };
+      if (evt.type === 'message_delta' && evt.usage) return { output: evt.usage.output_tokens || 0 };
+      return null;
+    },
+    buildToolRequest(provider, messages, tools, opts) {
+      const req = this.buildRequest(provider, messages, { ...opts, stream: false });
+      req.body.tools = tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+      return req;
+    },
+    parseToolResponse(data) {
+      const content = data.content || [];
+      const calls = content.filter((b) => b.type === 'tool_use').map((b) => ({ id: b.id, name: b.name, args: b.input || {} }));
+      return { text: this.parseResponse(data), calls, message: { role: 'assistant', content } };
+    },
+    toolResultMessages(calls, results) {
+      return [{ role: 'user', content: calls.map((c, i) => ({ type: 'tool_result', tool_use_id: c.id, content: results[i] })) }];
+    },
+  },
+  ollama: {
+    streamFormat: 'ndjson',
+    params: ['temperature', 'maxTokens', 'reasoning'],
+    reasoningLevels: ['on', 'off'],
+    buildRequest(provider, messages, { model, stream, params = {} }) {
+      const base = (provider.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+      const body = { model, messages, stream };
+      const options = {};
+      if (params.temperature != null) options.temperature = params.temperature;
+      if (params.maxTokens != null) options.num_predict = params.maxTokens;
+      if (Object.keys(options).length) body.options = options;
+      if (params.reasoning) body.think = params.reasoning === 'on';
+      return {
+        url: provider.endpoint || `${base}/api/chat`,
+        headers: {},
+        body,
+      };
+    },
+    applySchema(body, schema) {
+      body.format = schema;
+    },
+    parseResponse(data) {
+      return data.message?.content || '';
+    },
+    parseStreamChunk(data) {
+      const chunk = JSON.parse(data);
+      if (chunk.error) throw new Error(chunk.error);
+      return chunk.message?.content || null;
+    },
+    parseUsage(data) {
+      return data.done ? { input: data.prompt_eval_count || 0, output: data.eval_count || 0 } : null;
+    },
+    // Ollama takes plain-text content plus a list of base64 images per message
+    withImages(message) {
+      return {
+        ...message,
+        content: contentText(message.content),
+        images: message.content.filter((p) => p.type === 'image').map((p) => p.data),
+      };
+    },
+    streamUsage(data) {
+      return this.parseUsage(JSON.parse(data));
+    },
+    buildToolRequest(provider, messages, tools, opts) {
+      const req = this.buildRequest(provider, messages, { ...opts, stream: false });
+      req.body.tools = tools.map((t) => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+      return req;
+    },
+    parseToolResponse(data) {
+      const message = data.message || { role: 'assistant', content: '' };
+      const calls = (message.tool_calls || []).map((c, i) => ({ id: `call_${i}`, name: c.function?.name, args: parseToolArgs(c.function?.arguments) }));
+      return { text: message.content || '', calls, message };
+    },
+    toolResultMessages(calls, results) {
+      return calls.map((c, i) => ({ role: 'tool', content: results[i] }));
+    },
+  },
+  toy: {
+    params: [],
+    call(provider, messages) {
+      return callToyLLM(messages);
+    },
+  },
+};
+
+function getProviders() {
+  return Object.entries(appConfig.providers || {})
+    .filter(([, p]) => p && p.enabled !== false && llmAdapters[p.adapter || 'openai'])
+    .map(([id, p]) => ({ id, ...p, adapter: p.adapter || 'openai' }));
+}
+
+function getProvider(id) {
+  return getProviders().find((p) => p.id === id) || null;
+}
+
+function providerModel(provider) {
+  return providerSettings(provider).model;
+}
+
+function renderLLMProviders() {
+  const providers = getProviders();
+  if (!providers.length) return;
+  const wanted = storage.get('llm_provider', llmProviderSel.value || 'openai');
+  llmProviderSel.replaceChildren();
+  providers.forEach((p) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.label || p.id;
+    llmProviderSel.appendChild(opt);
+  });
+  llmProviderSel.value = providers.some((p) => p.id === wanted) ? wanted : providers[0].id;
+}
+
+loadConfig().then(renderLLMProviders);
+
+// -----------------------
+// Model and generation parameters
+// -----------------------
+// Per-provider choices are kept in storage under llm_settings as { [providerId]: { model, temperature,
+// maxTokens, reasoning } }. Anything unset falls back to the provider's `defaults` in config.json,
+// and settings left empty there are not sent, so the API's own default applies.
+const llmModelSel = $('#llm-model');
+const llmParamsToggle = $('#llm-params-toggle');
+const llmParamsPanel = $('#llm-params');
+const llmTemperatureInput = $('#llm-temperature');
+const llmMaxTokensInput = $('#llm-max-tokens');
+const llmReasoningSel = $('#llm-reasoning');
+
+function providerParamNames(provider) {
+  return provider.params || llmAdapters[provider.adapter]?.params || [];
+}
+
+function providerSettings(provider) {
+  const saved = storage.get('llm_settings', {})[provider.id] || {};
+  const defaults = { maxTokens: provider.maxTokens, ...provider.defaults };
+  const models = provider.models || [];
+  const model = [saved.model, defaults.model, provider.model].find((m) => m && (!models.length || models.includes(m))) || models[0] || '';
+  const pick = (name) => (saved[name] !== undefined ? saved[name] : defaults[name] ?? null);
+  return { model, temperature: pick('temperature'), maxTokens: pick('maxTokens'), reasoning: pick('reasoning') };
+}
+
+// Generation parameters for a request, limited to what the provider supports
+function providerParams(provider) {
+  const settings = providerSettings(provider);
+  const params = {};
+  providerParamNames(provider).forEach((name) => {
+    if (settings[name] !== null && settings[name] !== '') params[name] = settings[name];
+  });
+  return params;
+}
+
+function saveProviderSetting(provider, name, value) {
+  const all = storage.get('llm_settings', {});
+  all[provider.id] = { ...all[provider.id], [name]: value };
+  storage.set('llm_settings', all);
+}
+
+function resetProviderSettings(provider) {
+  const all = storage.get('llm_settings', {});
+  delete all[provider.id];
+  storage.set('llm_settings', all);
+}
+
+function renderLLMSettings() {
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider || !llmModelSel) return;
+  const settings = providerSettings(provider);
+  const models = provider.models || [];
+  llmModelSel.replaceChildren();
+  models.forEach((m) => {
+    const opt = document.createElement('option');
+    opt.value = m;
+    opt.textContent = m;
+    llmModelSel.appendChild(opt);
+  });
+  llmModelSel.value = settings.model;
+  llmModelSel.closest('label').hidden = !models.length;
+
+  const names = providerParamNames(provider);
+  if (llmParamsToggle) llmParamsToggle.hidden = !names.length;
+  if (llmParamsPanel && !names.length) llmParamsPanel.hidden = true;
+  const field = (el, name) => { el.closest('label').hidden = !names.includes(name); };
+  field(llmTemperatureInput, 'temperature');
+  field(llmMaxTokensInput, 'maxTokens');
+  field(llmReasoningSel, 'reasoning');
+  llmTemperatureInput.value = settings.temperature ?? '';
+  llmMaxTokensInput.value = settings.maxTokens ?? '';
+  const levels = provider.reasoningLevels || llmAdapters[provider.adapter]?.reasoningLevels || [];
+  llmReasoningSel.replaceChildren();
+  ['', ...levels].forEach((level) => {
+    const opt = document.createElement('option');
+    opt.value = level;
+    opt.textContent = level || 'default';
+    llmReasoningSel.appendChild(opt);
+  });
+  llmReasoningSel.value = levels.includes(settings.reasoning) ? settings.reasoning : '';
+}
+
+// Empty inputs mean "use the API default" and are stored as '' so config defaults do not come back
+function numberSetting(input, { min, max, integer }) {
+  if (input.value.trim() === '') return '';
+  let n = Number(input.value);
+  if (!Number.isFinite(n)) return '';
+  if (integer) n = Math.round(n);
+  return Math.min(Math.max(n, min), max);
+}
+
+llmModelSel?.addEventListener('change', () => {
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) return;
+  saveProviderSetting(provider, 'model', llmModelSel.value);
+  updateContextMeter();
+});
+llmTemperatureInput?.addEventListener('change', () => {
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) return;
+  saveProviderSetting(provider, 'temperature', numberSetting(llmTemperatureInput, { min: 0, max: 2 }));
+  renderLLMSettings();
+});
+llmMaxTokensInput?.addEventListener('change', () => {
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) return;
+  saveProviderSetting(provider, 'maxTokens', numberSetting(llmMaxTokensInput, { min: 1, max: 1000000, integer: true }));
+  renderLLMSettings();
+  updateContextMeter();
+});
+llmReasoningSel?.addEventListener('change', () => {
+  const provider = getProvider(llmProviderSel.value);
+  if (provider) saveProviderSetting(provider, 'reasoning', llmReasoningSel.value);
+});
+$('#llm-params-reset')?.addEventListener('click', () => {
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) return;
+  resetProviderSettings(provider);
+  renderLLMSettings();
+  updateContextMeter();
+});
+llmParamsToggle?.addEventListener('click', () => {
+  llmParamsPanel.hidden = !llmParamsPanel.hidden;
+});
+llmProviderSel.addEventListener('change', () => renderLLMSettings());
+loadConfig().then(renderLLMSettings);
+
+// Key problems (missing key, locked vault, wrong password, refused relay token) are reported as
+// authentication errors. A password typed into the header field unlocks the vault on first use.
+async function resolveKeyForRequest(provider, options = {}) {
+  try {
+    if (!isVaultUnlocked() && openaiPasswordInput?.value && provider.auth !== 'none') await unlockVault(openaiPasswordInput.value);
+    return await resolveProviderKey(provider, options);
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw new LLMError('auth', e.message);
+  }
+}
+
+// onDelta(delta, fullText) is called for each streamed chunk when the provider supports it.
+// options: { signal } cancels the request; onRetry is told about rate-limit/backoff waits;
+// schema requests structured output (only pass it when supportsStructuredOutput() says so);
+// onUsage(entry) is called with the token usage and cost of every request made for this reply.
+async function callLLM(messages, onDelta, { signal, onRetry, schema, onUsage } = {}) {
+  await loadConfig();
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) throw new Error(`Unknown LLM provider: ${llmProviderSel.value}`);
+  const adapter = llmAdapters[provider.adapter];
+  if (adapter.call) {
+    const reply = await adapter.call(provider, messages, onDelta);
+    if (signal?.aborted) throw abortError();
+    return reply;
+  }
+  assertWithinBudget(provider);
+  const key = await resolveKeyForRequest(provider, { signal });
+  const fitted = await fitToContext(messages, provider, (msgs) => callProvider(provider, adapter, msgs, key, null, { signal, onRetry, onUsage }));
+  return callProvider(provider, adapter, fitted, key, onDelta, { signal, onRetry, schema, onUsage });
+}
+
+// -----------------------
+// Context window management
+// -----------------------
+// Token counts are estimates (~4 characters per token); good enough for budgeting.
+// Over budget, the oldest turns are dropped, or summarized when context.strategy is
+// 'summarize'. System messages and the latest assistant reply with code always stay.
+const contextMeter = $('#context-meter');
+
+// Text of a message; content may also be an array of parts (images, tool blocks)
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? '');
+  return content
+    .filter((p) => p.type !== 'image')
+    .map((p) => (p.type === 'text' ? p.text : JSON.stringify(p)))
+    .join('\n');
+}
+
+function hasImages(content) {
+  return Array.isArray(content) && content.some((p) => p.type === 'image');
+}
+
+function messageText(m) {
+  return contentText(m.content);
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Images are counted at a flat rate; providers charge roughly this much for a downscaled screenshot
+const IMAGE_TOKEN_ESTIMATE = 1000;
+
+function estimateMessageTokens(m) {
+  const images = Array.isArray(m.content) ? m.content.filter((p) => p.type === 'image').length : 0;
+  return estimateTokens(messageText(m)) + images * IMAGE_TOKEN_ESTIMATE + 4;
+}
+
+function providerContextBudget(provider) {
+  const total = provider?.contextTokens || appConfig.context?.defaultTokens || 16000;
+  // A chosen max-tokens setting is what the reply may actually use
+  const reserve = (provider && providerParams(provider).maxTokens) || (appConfig.context?.replyReserveTokens ?? 2048);
+  return Math.max(512, total - reserve);
+}
+
+// Tool calls and their results only make sense together, so neither may open the kept tail
+function isToolMessage(m) {
+  if (m.role === 'tool' || m.tool_calls?.length) return true;
+  return Array.isArray(m.content) && m.content.some((p) => p.type === 'tool_use' || p.type === 'tool_result');
+}
+
+// -> { messages, dropped, used }: what fits in budget, and the non-system messages left out
+function planContext(history, budget) {
+  const system = history.filter((m) => m.role === 'system');
+  const rest = history.filter((m) => m.role !== 'system');
+  let used = system.reduce((n, m) => n + estimateMessageTokens(m), 0);
+  let codeIdx = -1;
+  for (let i = rest.length - 1; i >= 0; i--) {
+    if (rest[i].role === 'assistant' && !isToolMessage(rest[i]) && messageText(rest[i]).includes('```')) { codeIdx = i; break; }
+  }
+  if (codeIdx !== -1) used += estimateMessageTokens(rest[codeIdx]);
+  let cut = rest.length;
+  for (let i = rest.length - 1; i >= 0; i--) {
+    if (i === codeIdx) { cut = i; continue; }
+    const t = estimateMessageTokens(rest[i]);
+    // The newest message is always sent, even if it alone exceeds the budget
+    if (used + t > budget && i < rest.length - 1) break;
+    used += t;
+    cut = i;
+  }
+  // Start the kept tail on a user turn so providers that require alternation accept it
+  while (cut < rest.length - 1 && rest[cut].role !== 'user') {
+    if (cut !== codeIdx) used -= estimateMessageTokens(rest[cut]);
+    cut += 1;
+  }
+  // Landing inside an agent's tool exchange: keep it whole, back to the user turn that started it
+  if (isToolMessage(rest[cut] || {})) {
+    while (cut > 0 && (rest[cut].role !== 'user' || isToolMessage(rest[cut]))) {
+      cut -= 1;
+      if (cut !== codeIdx) used += estimateMessageTokens(rest[cut]);
+    }
+  }
+  const dropped = rest.slice(0, cut).filter((_, i) => i !== codeIdx);
+  const pinned = codeIdx !== -1 && codeIdx < cut
+    ? [{ role: 'system', content: `Latest code from earlier in this conversation:\n\n${messageText(rest[codeIdx])}` }]
+    : [];
+  return { messages: [...system, ...pinned, ...rest.slice(cut)], dropped, used };
+}
+
+// Summaries are cached on the session as { count, text } for the first `count` dropped messages
+async function summarizeDropped(dropped, budget, send) {
+  const cached = activeSession?.contextSummary;
+  let prior = '';
+  let pending = dropped;
+  if (cached && cached.count <= dropped.length) {
+    if (cached.count === dropped.length) return cached.text;
+    prior = cached.text;
+    pending = dropped.slice(cached.count);
+  }
+  const transcript = pending.map((m) => `${m.role.toUpperCase()}: ${messageText(m)}`).join('\n\n').slice(-budget * 2);
+  const text = await send([
+    { role: 'system', content: 'Summarize the conversation below for a coding assistant that will continue it. Keep requirements, decisions, names, errors and the current state of the code; drop pleasantries. Reply with the summary only.' },
+    { role: 'user', content: `${prior ? `Summary so far:\n${prior}\n\n` : ''}Conversation:\n${transcript}` },
+  ]);
+  if (activeSession) activeSession.contextSummary = { count: dropped.length, text };
+  return text;
+}
+
+async function fitToContext(messages, provider, send) {
+  const budget = providerContextBudget(provider);
+  const plan = planContext(messages, budget);
+  if (!plan.dropped.length || appConfig.context?.strategy !== 'summarize') return plan.messages;
+  let summary;
+  try {
+    summary = await summarizeDropped(plan.dropped, budget, send);
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    console.warn('Context summary failed; trimming instead:', e);
+    return plan.messages;
+  }
+  const firstNonSystem = plan.messages.findIndex((m) => m.role !== 'system');
+  const at = firstNonSystem === -1 ? plan.messages.length : firstNonSystem;
+  return [
+    ...plan.messages.slice(0, at),
+    { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+    ...plan.messages.slice(at),
+  ];
+}
+
+function formatTokenCount(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+function updateContextMeter() {
+  if (!contextMeter) return;
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider || llmAdapters[provider.adapter]?.call) {
+    contextMeter.textContent = '';
+    contextMeter.title = '';
+    return;
+  }
+  const budget = providerContextBudget(provider);
+  const plan = planContext(chatHistory, budget);
+  const total = chatHistory.reduce((n, m) => n + estimateMessageTokens(m), 0);
+  const summarizing = appConfig.context?.strategy === 'summarize';
+  contextMeter.textContent = `ctx ${formatTokenCount(plan.used)} / ${formatTokenCount(budget)}`;
+  contextMeter.title = plan.dropped.length
+    ? `${plan.dropped.length} older message${plan.dropped.length === 1 ? '' : 's'} ${summarizing ? 'summarized' : 'left out'}; full history ≈ ${formatTokenCount(total)} tokens`
+    : `Whole conversation fits (≈ ${formatTokenCount(total)} tokens)`;
+  contextMeter.classList.toggle('warn', plan.dropped.length > 0 || plan.used > budget * 0.8);
+}
+
+llmProviderSel.addEventListener('change', () => updateContextMeter());
+loadConfig().then(updateContextMeter);
+
+// -----------------------
+// LLM requests: timeouts, retries, cancellation
+// -----------------------
+// Failures are reported as LLMError with a category the chat can explain: 'auth', 'quota'
+// (quota or rate limit), 'network' (unreachable, timed out, 5xx) or 'model' (the provider
+// rejected the request or model). Cancelling rejects with the usual AbortError.
+class LLMError extends Error {
+  constructor(category, message, { status = 0, detail = '', retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.category = category;
+    this.status = status;
+    this.detail = detail;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const LLM_ERROR_LABELS = {
+  auth: 'Authentication error',
+  quota: 'Quota or rate limit',
+  network: 'Network error',
+  model: 'Model error',
+};
+
+function describeLLMError(e) {
+  if (!(e instanceof LLMError)) return `Error: ${e.message}`;
+  return `${LLM_ERROR_LABELS[e.category] || 'Error'}: ${e.message}${e.detail ? `\n${e.detail}` : ''}`;
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+// Defaults live under requests in config.json; providers may override timeoutMs and maxRetries
+function requestPolicy(provider) {
+  const cfg = appConfig.requests || {};
+  return {
+    timeoutMs: provider.timeoutMs ?? cfg.timeoutMs ?? 60000,
+    maxRetries: provider.maxRetries ?? cfg.maxRetries ?? 3,
+    retryBaseMs: cfg.retryBaseMs ?? 1000,
+    maxRetryWaitMs: cfg.maxRetryWaitMs ?? 60000,
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Abort signal that follows `signal` and also fires after `ms` without activity; touch() restarts the clock
+function createRequestTimer(signal, ms) {
+  const controller = new AbortController();
+  let timer = null;
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  const state = {
+    signal: controller.signal,
+    timedOut: false,
+    touch() {
+      clearTimeout(timer);
+      if (ms > 0) timer = setTimeout(() => { state.timedOut = true; controller.abort(); }, ms);
+    },
+    clear() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+  state.touch();
+  return state;
+}
+
+// Retry-After is either delay-seconds or an HTTP date; OpenAI also sends retry-after-ms
+function retryAfterMs(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(ms)) return Math.max(0, ms);
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function errorDetail(body) {
+  try {
+    const data = JSON.parse(body);
+    const err = data.error ?? data;
+    const msg = typeof err === 'string' ? err : err.message || data.message;
+    if (msg) return String(msg).slice(0, 500);
+  } catch {}
+  return body.trim().slice(0, 500);
+}
+
+function classifyLLMHttpError(provider, status, body, retryAfter) {
+  const label = provider.label || provider.id;
+  const detail = errorDetail(body);
+  const info = { status, detail, retryAfter };
+  if (status === 401 || status === 403) {
+    return new LLMError('auth', `${label} rejected the API key (${status}). Check the key and the password used to decrypt it.`, info);
+  }
+  if (status === 402 || (status === 429 && /quota|billing|credit|insufficient/i.test(body))) {
+    return new LLMError('quota', `${label} quota is exhausted (${status}). Check the plan or billing for this key.`, info);
+  }
+  if (status === 429) {
+    return new LLMError('quota', `${label} is rate limiting requests (429).`, { ...info, retryable: true });
+  }
+  if (status === 408 || status >= 500) {
+    return new LLMError('network', `${label} is unavailable right now (${status}).`, { ...info, retryable: true });
+  }
+  const model = providerModel(provider);
+  if (status === 404 || /model/i.test(detail)) {
+    return new LLMError('model', `${label} rejected model "${model}" (${status}). Pick another model or check the provider's base URL.`, info);
+  }
+  return new LLMError('model', `${label} rejected the request (${status}).`, info);
+}
+
+function backoffDelay(attempt, policy) {
+  const base = policy.retryBaseMs * 2 ** attempt;
+  return Math.min(policy.maxRetryWaitMs, base + Math.random() * policy.retryBaseMs);
+}
+
+// POST with per-attempt timeout and retries on network errors, 429 and 5xx.
+// -> { response, timer }: the caller touches the timer while streaming and clears it when done.
+// onRetry({ error, attempt, maxRetries, waitMs }) reports each wait before the next attempt.
+async function fetchLLM(provider, req, key, signal, onRetry) {
+  const policy = requestPolicy(provider);
+  const label = provider.label || provider.id;
+  let relayRefreshed = false;
+  for (let attempt = 0; ; attempt++) {
+    const timer = createRequestTimer(signal, policy.timeoutMs);
+    let error;
+    let staleRelayToken = false;
+    try {
+      const response = await fetch(req.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...providerAuthHeaders(provider, key),
+          ...req.headers,
+        },
+        body: JSON.stringify(req.body),
+        signal: timer.signal,
+      });
+      if (response.ok) return { response, timer };
+      // A relay token that expired or outlived a relay restart is replaced once
+      staleRelayToken = response.status === 401 && provider.auth === 'relay' && !relayRefreshed;
+      const body = await response.text().catch(() => '');
+      error = classifyLLMHttpError(provider, response.status, body, retryAfterMs(response.headers));
+    } catch (e) {
+      if (signal?.aborted) {
+        timer.clear();
+        throw abortError();
+      }
+      error = timer.timedOut
+        ? new LLMError('network', `${label} did not respond within ${Math.round(policy.timeoutMs / 1000)}s.`, { retryable: true })
+        : new LLMError('network', `Could not reach ${label} at ${req.url}. Check the connection, the base URL and CORS.`, { detail: e.message, retryable: true });
+    }
+    timer.clear();
+    if (staleRelayToken) {
+      relayRefreshed = true;
+      key = await resolveKeyForRequest(provider, { refresh: true, signal });
+      attempt -= 1;
+      continue;
+    }
+    if (!error.retryable || attempt >= policy.maxRetries) throw error;
+    const waitMs = error.retryAfter ?? backoffDelay(attempt, policy);
+    // A server asking for a longer pause than we are willing to wait is reported instead
+    if (waitMs > policy.maxRetryWaitMs) throw error;
+    onRetry?.({ error, attempt: attempt + 1, maxRetries: policy.maxRetries, waitMs });
+    await sleep(waitMs, signal);
+  }
+}
+
+// -----------------------
+// Token usage, cost and budget
+// -----------------------
+// Every provider call is recorded as { input, output, cost, model, estimated } (estimated when the
+// provider reported no usage). Totals are kept per day in storage (llm_usage) and per chat session;
+// prices are USD per million tokens from `pricing` in config.json. Once the daily or monthly budget
+// is spent, calls to priced models are refused until the period rolls over or the limit is raised.
+const usageTotalBtn = $('#usage-total');
+const usagePanel = $('#usage-panel');
+const usageSummaryEl = $('#usage-summary');
+const budgetDailyInput = $('#budget-daily');
+const budgetMonthlyInput = $('#budget-monthly');
+const USAGE_KEEP_DAYS = 62;
+
+// `images` is true for a provider whose models all take images, or the list of models that do
+function acceptsImages(provider) {
+  if (!provider) return false;
+  return Array.isArray(provider.images) ? provider.images.includes(providerModel(provider)) : provider.images === true;
+}
+
+// Bookkeeping fields on chat messages (usage, branches, auto-fix marks) are never sent to providers,
+// and image parts are converted for the provider, or replaced by a note when it takes no image input
+function wireMessages(messages, provider, adapter) {
+  const images = acceptsImages(provider) && adapter.withImages;
+  return messages.map(({ usage, versions, version, origin, attempt, maxAttempts, ...m }) => {
+    if (!hasImages(m.content)) return m;
+    if (images) return adapter.withImages(m);
+    const omitted = m.content.filter((p) => p.type === 'image').length;
+    return { ...m, content: `${contentText(m.content)}\n[${omitted} image${omitted === 1 ? '' : 's'} omitted: this provider does not accept images]`.trim() };
+  });
+}
+
+function modelPrice(provider, model) {
+  return provider.pricing?.[model] || appConfig.pricing?.[model] || null;
+}
+
+function usageDayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addUsage(total, entry) {
+  const t = total || { input: 0, output: 0, cost: 0, calls: 0 };
+  return {
+    input: t.input + (entry.input || 0),
+    output: t.output + (entry.output || 0),
+    cost: t.cost + (entry.cost || 0),
+    calls: (t.calls || 0) + (entry.calls || 1),
+    estimated: !!(t.estimated || entry.estimated),
+  };
+}
+
+function recordUsage(provider, model, reported, messages, content) {
+  const estimated = !reported || reported.input == null || reported.output == null;
+  const input = reported?.input ?? messages.reduce((n, m) => n + estimateMessageTokens(m), 0);
+  const output = reported?.output ?? estimateTokens(content);
+  const price = modelPrice(provider, model);
+  const cost = price ? (input * (price.input || 0) + output * (price.output || 0)) / 1e6 : 0;
+  const entry = { input, output, cost, model, estimated };
+
+  const ledger = storage.get('llm_usage', { days: {} });
+  const today = usageDayKey();
+  ledger.days[today] = addUsage(ledger.days[today], entry);
+  const oldest = usageDayKey(new Date(Date.now() - USAGE_KEEP_DAYS * 86400000));
+  Object.keys(ledger.days).forEach((day) => { if (day < oldest) delete ledger.days[day]; });
+  storage.set('llm_usage', ledger);
+  if (activeSession) activeSession.usage = addUsage(activeSession.usage, entry);
+  updateUsageDisplay();
+  return entry;
+}
+
+function spentSince(prefix) {
+  const { days } = storage.get('llm_usage', { days: {} });
+  return Object.entries(days)
+    .filter(([day]) => day.startsWith(prefix))
+    .reduce((total, [, u]) => addUsage(total, u), null) || { input: 0, output: 0, cost: 0, calls: 0 };
+}
+
+// Limits in USD; a value saved in the usage panel (even an empty one) overrides budget in config.json
+function usageBudget() {
+  const saved = storage.get('llm_budget', {});
+  const cfg = appConfig.budget || {};
+  const pick = (name) => {
+    const v = saved[name] !== undefined ? saved[name] : cfg[name];
+    return typeof v === 'number' && v > 0 ? v : null;
+  };
+  return { daily: pick('daily'), monthly: pick('monthly') };
+}
+
+function assertWithinBudget(provider) {
+  // Models without a price cost nothing here (local servers, Ollama), so they are never blocked
+  if (!modelPrice(provider, providerModel(provider))) return;
+  const { daily, monthly } = usageBudget();
+  const today = usageDayKey();
+  const spentToday = spentSince(today).cost;
+  if (daily != null && spentToday >= daily) {
+    throw new LLMError('quota', `Daily budget of ${formatCost(daily)} is used up (${formatCost(spentToday)} spent today). Raise it in the usage panel or wait until tomorrow.`);
+  }
+  const spentMonth = spentSince(today.slice(0, 7)).cost;
+  if (monthly != null && spentMonth >= monthly) {
+    throw new LLMError('quota', `Monthly budget of ${formatCost(monthly)} is used up (${formatCost(spentMonth)} spent this month). Raise it in the usage panel.`);
+  }
+}
+
+function formatCost(usd) {
+  if (!usd) return '$0';
+  return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+function formatUsage(u) {
+  const tokens = `${formatTokenCount(u.input)} in · ${formatTokenCount(u.output)} out`;
+  return `${u.estimated ? '≈ ' : ''}${tokens} · ${formatCost(u.cost)}`;
+}
+
+function updateUsageDisplay() {
+  if (!usageTotalBtn) return;
+  const today = usageDayKey();
+  const day = spentSince(today);
+  const month = spentSince(today.slice(0, 7));
+  const { daily, monthly } = usageBudget();
+  usageTotalBtn.textContent = `${formatCost(day.cost)} today`;
+  usageTotalBtn.classList.toggle('warn', (daily != null && day.cost >= daily * 0.8) || (monthly != null && month.cost >= monthly * 0.8));
+  if (usageSummaryEl) {
+    const limit = (v) => (v != null ? ` of ${formatCost(v)}` : '');
+    const rows = [
+      ['This chat', activeSession?.usage],
+      ['Today', day, limit(daily)],
+      ['This month', month, limit(monthly)],
+    ];
+    usageSummaryEl.replaceChildren(...rows.map(([label, u, suffix = '']) => {
+      const div = document.createElement('div');
+      div.textContent = `${label}: ${u ? `${formatUsage(u)}${suffix}` : 'nothing yet'}`;
+      return div;
+    }));
+  }
+}
+
+function renderBudgetInputs() {
+  const { daily, monthly } = usageBudget();
+  if (budgetDailyInput) budgetDailyInput.value = daily ?? '';
+  if (budgetMonthlyInput) budgetMonthlyInput.value = monthly ?? '';
+}
+
+function saveBudgetInput(input, name) {
+  const v = parseFloat(input.value);
+  const budget = storage.get('llm_budget', {});
+  budget[name] = Number.isFinite(v) && v > 0 ? v : '';
+  storage.set('llm_budget', budget);
+  renderBudgetInputs();
+  updateUsageDisplay();
+}
+
+usageTotalBtn?.addEventListener('click', () => {
+  usagePanel.hidden = !usagePanel.hidden;
+  if (!usagePanel.hidden) updateUsageDisplay();
+});
+budgetDailyInput?.addEventListener('change', () => saveBudgetInput(budgetDailyInput, 'daily'));
+budgetMonthlyInput?.addEventListener('change', () => saveBudgetInput(budgetMonthlyInput, 'monthly'));
+loadConfig().then(() => {
+  renderBudgetInputs();
+  updateUsageDisplay();
+});
+
+// Token/cost line under an assistant reply
+function appendUsageNote(afterEl, usage) {
+  if (!usage || !afterEl) return;
+  const note = document.createElement('div');
+  note.className = 'msg-usage';
+  note.textContent = formatUsage(usage);
+  if (usage.estimated) note.title = 'Estimated: the provider did not report token usage';
+  afterEl.after(note);
+}
+
+function providerAuthHeaders(provider, key) {
+  if (!key) return {};
+  if (provider.auth === 'x-api-key') return { 'x-api-key': key };
+  return { 'Authorization': `Bearer ${key}` };
+}
+
+// onUsage(entry) receives the recorded usage of the call (see recordUsage)
+async function callProvider(provider, adapter, messages, key, onDelta, { signal, onRetry, schema, onUsage } = {}) {
+  // Streaming is used when the caller wants deltas and the provider allows it; no backend.
+  const streaming = typeof onDelta === 'function' && provider.stream !== false;
+  const label = provider.label || provider.id;
+  const model = providerModel(provider);
+  const wire = wireMessages(messages, provider, adapter);
+  const req = adapter.buildRequest(provider, wire, { model, stream: streaming, params: providerParams(provider) });
+  if (schema) adapter.applySchema(req.body, schema);
+  const { response: r, timer } = await fetchLLM(provider, req, key, signal, onRetry);
+  let content = '';
+  let reported = null;
+  try {
+    // Servers may ignore stream:true and answer with plain JSON
+    const contentType = r.headers.get('content-type') || '';
+    const isStream = adapter.streamFormat === 'ndjson'
+      ? !contentType.includes('application/json') || contentType.includes('ndjson')
+      : contentType.includes('text/event-stream');
+    if (!streaming || !isStream || !r.body) {
+      const data = await r.json();
+      content = adapter.parseResponse(data);
+      reported = adapter.parseUsage?.(data) || null;
+      if (streaming && content) onDelta(content, content);
+    } else {
+      await readProviderStream(r, adapter, timer, label, (delta, full) => {
+        content = full;
+        onDelta(delta, full);
+      }, (u) => { reported = { ...reported, ...u }; });
+    }
+  } catch (e) {
+    if (signal?.aborted) {
+      // A stopped stream is still billed for what was generated
+      if (content) recordUsage(provider, model, reported, messages, content);
+      throw abortError();
+    }
+    if (timer.timedOut) {
+      throw new LLMError('network', `${label} stopped responding for ${Math.round(requestPolicy(provider).timeoutMs / 1000)}s mid-reply.`);
+    }
+    throw e;
+  } finally {
+    timer.clear();
+  }
+  const entry = recordUsage(provider, model, reported, messages, content);
+  onUsage?.(entry);
+  return content;
+}
+
+function readProviderStream(r, adapter, timer, label, onDelta, onUsage) {
+  let content = '';
+  const onChunk = (data, eventName) => {
+    // The timeout measures silence, so a long but steady stream is never cut off
+    timer.touch();
+    try {
+      const u = adapter.streamUsage?.(data, eventName);
+      if (u) onUsage(u);
+    } catch {}
+    let delta;
+    try {
+      delta = adapter.parseStreamChunk(data, eventName);
+    } catch (e) {
+      if (e instanceof SyntaxError) return;
+      throw new LLMError('model', `${label} reported an error mid-reply: ${e.message}`);
+    }
+    if (delta) {
+      content += delta;
+      onDelta(delta, content);
+    }
+  };
+  return adapter.streamFormat === 'ndjson' ? readJsonLines(r, onChunk) : readEventStream(r, onChunk);
+}
+
+function parseToolArgs(args) {
+  if (args && typeof args === 'object') return args;
+  try { return JSON.parse(args || '{}'); } catch { return {}; }
+}
+
+// One non-streamed tool-calling turn; rejects with AbortError when signal fires
+async function callLLMWithTools(messages, tools, signal) {
+  await loadConfig();
+  const provider = getProvider(llmProviderSel.value);
+  if (!provider) throw new Error(`Unknown LLM provider: ${llmProviderSel.value}`);
+  const adapter = llmAdapters[provider.adapter];
+  if (!adapter.buildToolRequest || provider.tools === false) {
+    throw new Error(`${provider.label || provider.id} does not support tool calling; pick an OpenAI, Anthropic or Ollama provider for agent mode.`);
+  }
+  assertWithinBudget(provider);
+  const key = await resolveKeyForRequest(provider, { signal });
+  const model = providerModel(provider);
+  // Trimmed rather than summarized: the session's cached summary is of the chat, not of this loop
+  const fitted = planContext(messages, providerContextBudget(provider)).messages;
+  const wire = wireMessages(fitted, provider, adapter);
+  const req = adapter.buildToolRequest(provider, wire, tools, { model, params: providerParams(provider) });
+  const { response: r, timer } = await fetchLLM(provider, req, key, signal);
+  try {
+    const data = await r.json();
+    const turn = adapter.parseToolResponse(data);
+    const usage = recordUsage(provider, model, adapter.parseUsage?.(data), fitted, `${turn.text}${JSON.stringify(turn.calls)}`);
+    return { ...turn, adapter, usage };
+  } catch (e) {
+    if (signal?.aborted) throw abortError();
+    throw e;
+  } finally {
+    timer.clear();
+  }
+}
+
+// -----------------------
+// Structured code replies
+// -----------------------
+// Providers whose adapter has applySchema are asked for JSON instead of a fenced snippet, so the
+// runtime and language come from the model rather than from regexes. The reply is turned back
+// into Markdown for the chat log and history; other providers keep the fence parsing.
+const CODE_REPLY_SCHEMA = {
+  type: 'object',
+  properties: {
+    runtime: { type: 'string', enum: Object.keys(RUNTIME_LABELS), description: 'Where the code should run' },
+    language: { type: 'string', description: 'Language of code, e.g. python, html, javascript; diff for edits' },
+    requirements: { type: 'array', items: { type: 'string' }, description: 'Extra pip packages the code needs' },
+    explanation: { type: 'string', description: 'Short note for the user; may be empty' },
+    code: { type: 'string', description: 'The complete snippet, without Markdown fences' },
+  },
+  required: ['runtime', 'language', 'requirements', 'explanation', 'code'],
+  additionalProperties: false,
+};
+
+const STRUCTURED_REPLY_PROMPT = 'Reply with a JSON object matching the response schema. runtime is where the code should run: pyodide (plain Python), gradio-lite (Gradio apps), jupyterlite (notebooks) or html-preview (web pages). code holds the whole snippet without Markdown fences; when changing code the user attached, it may instead hold SEARCH/REPLACE blocks or a unified diff, with language "diff". requirements lists pip packages beyond the standard library and the preloaded ones (empty when none). Keep explanation to a sentence or two, or leave it empty.';
+
+function supportsStructuredOutput(provider) {
+  return !!provider && provider.structuredOutput !== false && typeof llmAdapters[provider.adapter]?.applySchema === 'function';
+}
+
+// Valid { runtime, language, code, requirements, explanation } from a reply, or null
+function parseStructuredReply(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/, '$1'));
+  } catch {
+    return null;
+  }
+  if (!data || typeof data.code !== 'string') return null;
+  return {
+    runtime: RUNTIME_LABELS[data.runtime] ? data.runtime : null,
+    language: typeof data.language === 'string' && data.language.trim() ? data.language.trim().toLowerCase() : null,
+    code: data.code,
+    requirements: Array.isArray(data.requirements) ? data.requirements.map((r) => String(r).trim()).filter(Boolean) : [],
+    explanation: typeof data.explanation === 'string' ? data.explanation.trim() : '',
+  };
+}
+
+function structuredToMarkdown({ explanation, language, code }) {
+  const parts = [];
+  if (explanation) parts.push(explanation);
+  if (code != null) parts.push(`\`\`\`${language || ''}\n${code.replace(/\n$/, '')}\n\`\`\``);
+  return parts.join('\n\n');
+}
+
+// String value of a top-level field in JSON that is still streaming; open: accept an unterminated value
+function partialJsonField(text, field, { open = false } = {}) {
+  const m = text.match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!m) return null;
+  let raw = '';
+  let closed = false;
+  for (let i = m.index + m[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') { closed = true; break; }
+    if (ch === '\\') {
+      // Stop before an escape sequence that has not fully arrived
+      const len = text[i + 1] === 'u' ? 6 : 2;
+      if (i + len > text.length) break;
+      raw += text.slice(i, i + len);
+      i += len - 1;
+      continue;
+    }
+    raw += ch;
+  }
+  if (!closed && !open) return null;
+  try { return JSON.parse(`"${raw}"`); } catch { return null; }
+}
+
+// Streaming view of a structured reply as Markdown, so the bubble and editor update as usual
+function structuredStreamMarkdown(jsonText) {
+  return structuredToMarkdown({
+    explanation: partialJsonField(jsonText, 'explanation') || '',
+    language: partialJsonField(jsonText, 'language'),
+    code: partialJsonField(jsonText, 'code', { open: true }),
+  });
+}
+
+// Python snippets carry their packages in the "# requirements:" header read by both Python runtimes
+function withRequirementsHeader(code, requirements, language) {
+  if (!requirements.length || !['python', 'py'].includes(language || 'python')) return code;
+  if (extractRequirementsFromCode(code)) return code;
+  return `# requirements:\n${requirements.map((r) => `# ${r}`).join('\n')}\n\n${code}`;
+}
+
+// -> { reply: Markdown for the chat, structured: parsed reply or null when fences must be parsed }
+async function callLLMForCode(messages, onDelta, options = {}) {
+  await loadConfig();
+  const provider = getProvider(llmProviderSel.value);
+  if (!supportsStructuredOutput(provider)) {
+    return { reply: await callLLM(messages, onDelta, options), structured: null };
+  }
+  const at = messages[0]?.role === 'system' ? 1 : 0;
+  const withFormat = [...messages.slice(0, at), { role: 'system', content: STRUCTURED_REPLY_PROMPT }, ...messages.slice(at)];
+  const text = await callLLM(withFormat, onDelta && ((delta, full) => onDelta(delta, structuredStreamMarkdown(full))), {
+    ...options,
+    schema: CODE_REPLY_SCHEMA,
+  });
+  const structured = parseStructuredReply(text);
+  if (!structured) return { reply: text, structured: null };
+  structured.code = withRequirementsHeader(structured.code, structured.requirements, structured.language);
+  return { reply: structuredToMarkdown(structured), structured };
+}
+
+async function callToyLLM(messages) {
+  // Use Pyodide toy function to craft a deterministic response, matched against the examples catalogue.
+  // Attached context blocks would skew the keyword matching; only the typed prompt counts
+  const last = splitMessageContext([...messages].reverse().find((m) => m.role === 'user')?.content || '').text;
+  await chatPyodideReady;
+  if (!pyodideReady) throw new Error('Toy LLM unavailable: Pyodide failed to load.');
+  const respond = pyodide.globals.get('toy_llm_response');
+  try {
+    return respond(last, JSON.stringify(getExamples()), runtimeProviderSel.value);
+  } finally {
+    respond.destroy();
+  }
+}
+
+// Newline-delimited JSON reader (Ollama streaming): calls onLine(line) per complete line.
+async function readJsonLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (line) onLine(line);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer.trim());
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Incremental server-sent-events reader: calls onEvent(data, eventName) per event
+// as soon as its blank-line terminator arrives.
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+      else if (line.startsWith('event:')) eventName = line.slice(6).trim();
+    });
+    if (dataLines.length) onEvent(dataLines.join('\n'), eventName);
+  };
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let m;
+      while ((m = buffer.match(/\r?\n\r?\n/))) {
+        dispatch(buffer.slice(0, m.index));
+        buffer = buffer.slice(m.index + m[0].length);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
 
 // GradioliteRunner: a dedicated WebWorker with its own Pyodide to run code safely
 let runner;
 let runnerReady = false;
+// Worker run in flight: { origin, attempt, code, stdout, stderr, displays, step, resolve }.
+// origin is 'user', 'chat' (assistant-produced code run from the chat), 'autofix' or 'agent'.
+let currentRun = null;
+let nextRunMeta = null;
+// Request/response messages to the worker other than runs, keyed by request id
+const pendingWorkerRequests = new Map();
+let workerRequestCounter = 0;
+
+function requestWorker(type) {
+  return new Promise((resolve) => {
+    const id = ++workerRequestCounter;
+    pendingWorkerRequests.set(id, resolve);
+    runner.postMessage({ type, id });
+  });
+}
+
+// Run Python in the worker as a new notebook cell; resolves with the collected outputs.
+// One run at a time: while another is in flight this resolves at once with busy: true.
+function runPythonInWorker(code, meta = {}) {
+  return runInWorker(code, 'python', meta);
+}
+
+// Every worker run goes through here, whatever its language, so Stop and the time limit apply to it
+function runInWorker(code, language, meta = {}) {
+  return new Promise((resolve) => {
+    if (currentRun) {
+      resolve({ exitCode: 1, stdout: '', stderr: 'Another run is still in progress in the Pyodide worker.\n', displays: [], busy: true });
+      return;
+    }
+    switchToView('console');
+    startNotebookCell();
+    currentRun = { origin: 'user', attempt: 0, ...meta, language, code, stdout: '', stderr: '', displays: [], resolve };
+    // Packages listed in a "# requirements:" header are installed with micropip before the run
+    const requirements = language === 'python' ? (extractRequirementsFromCode(code) || '').split('\n').filter(Boolean) : [];
+    runner.postMessage({ type: 'run', language, code, requirements });
+    watchRun(currentRun);
+  });
+}
+
+// Settle the run in flight: mark its cell, resolve its promise and hand it to auto-fix / history
+function finishRun(exitCode, interrupted) {
+  const finished = currentRun;
+  currentRun = null;
+  clearTimeout(finished?.timer);
+  clearTimeout(finished?.graceTimer);
+  if (runStopBtn) runStopBtn.hidden = true;
+  runBtn.disabled = false;
+  const status = nbActiveCell?.hdr.querySelector('.status');
+  if (status) {
+    status.textContent = interrupted ? 'interrupted' : `exit ${exitCode}`;
+    status.classList.toggle('interrupted', !!interrupted);
+  }
+  if (!finished) return;
+  if (interrupted) {
+    // The note goes into the run's stderr too, so auto-fix and the agent see why it ended
+    const note = `${interruptReason(finished)}; ${interrupted === 'restarted'
+      ? 'the runtime was restarted, so variables, imports and installed packages from earlier runs are gone.'
+      : 'variables and imports from earlier runs are kept.'}\n`;
+    finished.stderr += note;
+    appendStderr(note);
+  }
+  const result = { exitCode, stdout: finished.stdout, stderr: finished.stderr, displays: finished.displays };
+  if (interrupted) result.interrupted = interrupted;
+  finished.resolve?.(result);
+  handleRunFinished({ ...finished, ...result });
+}
+
 function bootRunner() {
   runner = new Worker('assets/py-runner.js');
+  // With cross-origin isolation the worker can be interrupted in place; otherwise Stop restarts it
+  runInterruptBuffer = window.crossOriginIsolated ? new Uint8Array(new SharedArrayBuffer(1)) : null;
+  if (runInterruptBuffer) runner.postMessage({ type: 'interrupt-buffer', buffer: runInterruptBuffer.buffer });
   runner.onmessage = (ev) => {
     const { type, data } = ev.data || {};
     switch (type) {
       case 'ready':
         runnerReady = true;
         runtimeStatus.textContent = 'pyodide: ready';
+        requestWorker('packages').then((res) => {
+          if (res?.packages?.length) runtimePackages = res.packages;
+          refreshSystemPrompt();
+        });
         break;
       case 'stdout':
+        if (currentRun) currentRun.stdout += data;
         appendStdout(data);
         break;
       case 'stderr':
+        if (currentRun) currentRun.stderr += data;
         appendStderr(data);
         break;
       case 'display':
+        if (currentRun) currentRun.displays.push(data);
         appendDisplay(data);
         break;
+      case 'packages':
+        pendingWorkerRequests.get(data?.id)?.(data);
+        pendingWorkerRequests.delete(data?.id);
+        break;
       case 'result':
-        // Mark cell done
-        if (nbActiveCell) {
-          const status = nbActiveCell.hdr.querySelector('.status');
-          if (status) status.textContent = `exit ${data.exitCode}`;
-        }
+        finishRun(data.exitCode, data.interrupted && currentRun?.stopReason ? 'kept' : null);
         break;
       case 'status':
         runtimeStatus.textContent = data;
@@ -520,71 +2778,724 @@ function bootRunner() {
       default:
         break;
     }
-  };
+  };
+}
+
+// -----------------------
+// Stop and timeout for worker runs
+// -----------------------
+// A run is stopped by the Stop button or after runtime.timeoutSeconds (config.json, 0 = no limit).
+// Cross-origin isolated pages raise KeyboardInterrupt through Pyodide's interrupt buffer and keep
+// the interpreter; code that ignores it for INTERRUPT_GRACE_MS, and every run on pages without
+// isolation, is stopped by terminating the worker and booting a fresh one.
+const runStopBtn = $('#stop-code');
+const INTERRUPT_GRACE_MS = 3000;
+let runInterruptBuffer = null;
+
+function runTimeoutSeconds() {
+  const n = Number(appConfig.runtime?.timeoutSeconds);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function interruptReason(run) {
+  return run.stopReason === 'timeout' ? `Run stopped after the ${runTimeoutSeconds()} s time limit` : 'Run stopped';
+}
+
+function watchRun(run) {
+  if (runStopBtn) runStopBtn.hidden = false;
+  runBtn.disabled = true;
+  const seconds = runTimeoutSeconds();
+  if (seconds) run.timer = setTimeout(() => stopRun(run, 'timeout'), seconds * 1000);
+}
+
+// Stop the given run; a no-op once it has finished and another run took its place
+function stopRun(run, reason = 'user') {
+  if (!run || run !== currentRun || run.stopReason) return;
+  run.stopReason = reason;
+  clearTimeout(run.timer);
+  if (!runInterruptBuffer) {
+    restartRunner();
+    return;
+  }
+  runtimeStatus.textContent = 'pyodide: interrupting';
+  runInterruptBuffer[0] = 2; // SIGINT
+  run.graceTimer = setTimeout(() => {
+    if (currentRun === run) restartRunner();
+  }, INTERRUPT_GRACE_MS);
+}
+
+function restartRunner() {
+  runner.terminate();
+  runnerReady = false;
+  runtimeStatus.textContent = 'pyodide: restarting';
+  // Requests the old worker will never answer
+  pendingWorkerRequests.forEach((resolve) => resolve(null));
+  pendingWorkerRequests.clear();
+  finishRun(1, 'restarted');
+  bootRunner();
+}
+
+runStopBtn?.addEventListener('click', () => stopRun(currentRun, 'user'));
+
+bootRunner();
+
+let nbCellCounter = 0;
+let nbActiveCell = null;
+
+function startNotebookCell() {
+  const id = ++nbCellCounter;
+  const cell = document.createElement('div');
+  cell.className = 'nb-cell';
+  const hdr = document.createElement('div');
+  hdr.className = 'nb-hdr';
+  hdr.innerHTML = `<span>In [${id}]</span><span class="status"></span>`;
+  const body = document.createElement('div');
+  body.className = 'nb-body';
+  cell.appendChild(hdr);
+  cell.appendChild(body);
+  nbRoot.appendChild(cell);
+  nbRoot.scrollTop = nbRoot.scrollHeight;
+  nbActiveCell = { id, el: cell, hdr, body };
+}
+
+function appendStdout(text) {
+  if (!nbActiveCell) startNotebookCell();
+  const pre = document.createElement('pre');
+  pre.className = 'nb-text nb-stdout';
+  pre.textContent = text;
+  nbActiveCell.body.appendChild(pre);
+}
+
+function appendStderr(text) {
+  if (!nbActiveCell) startNotebookCell();
+  const pre = document.createElement('pre');
+  pre.className = 'nb-text nb-stderr';
+  pre.textContent = text;
+  nbActiveCell.body.appendChild(pre);
+}
+
+function appendDisplay(payload) {
+  if (!nbActiveCell) startNotebookCell();
+  const kind = payload && payload.kind;
+  if (kind === 'image' && payload.mime === 'image/png' && payload.data) {
+    const img = document.createElement('img');
+    img.className = 'nb-image';
+    img.src = `data:${payload.mime};base64,${payload.data}`;
+    nbActiveCell.body.appendChild(img);
+  } else if (kind === 'html' && payload.html) {
+    const div = document.createElement('div');
+    div.innerHTML = payload.html;
+    nbActiveCell.body.appendChild(div);
+  } else if (payload && payload.text) {
+    const pre = document.createElement('pre');
+    pre.className = 'nb-text nb-stdout';
+    pre.textContent = payload.text;
+    nbActiveCell.body.appendChild(pre);
+  }
+}
+
+// -----------------------
+// Diff-based edits and review
+// -----------------------
+// An edit is a hunk { oldLines, newLines }: a unified-diff hunk (context + removed vs.
+// context + added) or a SEARCH/REPLACE block. Hunks are located in the editor text by
+// line content, so line numbers in @@ headers are not trusted.
+const diffReview = $('#diff-review');
+const diffEditorHost = $('#diff-editor-host');
+const diffHunksEl = $('#diff-hunks');
+const diffTitleEl = $('#diff-title');
+let diffEditor = null;
+let diffState = null;
+
+function parseUnifiedDiff(text) {
+  const hunks = [];
+  let hunk = null;
+  text.split('\n').forEach((line) => {
+    if (line.startsWith('@@')) {
+      // "-l,s": the hunk's old text starts at line l; with s = 0 (pure insertion) it goes after line l
+      const m = line.match(/^@@ -(\d+)(?:,(\d+))?/);
+      const anchor = m ? (m[2] === '0' ? Number(m[1]) : Number(m[1]) - 1) : null;
+      hunk = { oldLines: [], newLines: [], removed: 0, added: 0, anchor };
+      hunks.push(hunk);
+      return;
+    }
+    if (!hunk || line.startsWith('\\')) return;
+    if (line.startsWith('-')) {
+      hunk.oldLines.push(line.slice(1));
+      hunk.removed += 1;
+    } else if (line.startsWith('+')) {
+      hunk.newLines.push(line.slice(1));
+      hunk.added += 1;
+    } else {
+      // Models often drop the leading space on blank context lines
+      const ctx = line.startsWith(' ') ? line.slice(1) : line;
+      hunk.oldLines.push(ctx);
+      hunk.newLines.push(ctx);
+    }
+  });
+  hunks.forEach((h) => {
+    // Trailing blank context is usually the fence's closing newline, not real content
+    while (h.oldLines.length && h.newLines.length && h.oldLines[h.oldLines.length - 1] === '' && h.newLines[h.newLines.length - 1] === '') {
+      h.oldLines.pop();
+      h.newLines.pop();
+    }
+  });
+  return hunks.filter((h) => h.oldLines.join('\n') !== h.newLines.join('\n'));
+}
+
+function parseSearchReplace(text) {
+  const hunks = [];
+  const re = /^<{5,7} SEARCH[^\n]*\n([\s\S]*?)^={5,7}[^\n]*\n([\s\S]*?)^>{5,7} REPLACE/gm;
+  let m;
+  while ((m = re.exec(text))) {
+    const strip = (t) => t.replace(/\n$/, '');
+    const oldLines = strip(m[1]) ? strip(m[1]).split('\n') : [];
+    const newLines = strip(m[2]) ? strip(m[2]).split('\n') : [];
+    hunks.push({ oldLines, newLines, removed: oldLines.length, added: newLines.length });
+  }
+  return hunks;
+}
+
+// All edits in a reply: SEARCH/REPLACE blocks anywhere, plus ```diff fences
+function parseCodeEdits(reply) {
+  if (!reply) return [];
+  const hunks = parseSearchReplace(reply);
+  extractCodeBlocks(reply).forEach((seg) => {
+    if (seg.type === 'code' && (seg.language === 'diff' || seg.language === 'patch')) hunks.push(...parseUnifiedDiff(seg.code));
+  });
+  return hunks;
+}
+
+function locateHunk(lines, oldLines, from) {
+  if (!oldLines.length) return -1;
+  const norm = (l) => l.replace(/\s+$/, '');
+  const find = (start) => {
+    for (let i = start; i <= lines.length - oldLines.length; i++) {
+      let ok = true;
+      for (let j = 0; j < oldLines.length && ok; j++) ok = norm(lines[i + j]) === norm(oldLines[j]);
+      if (ok) return i;
+    }
+    return -1;
+  };
+  const idx = find(from);
+  return idx !== -1 ? idx : find(0);
+}
+
+// Attach a line position to each hunk (null when it does not match the original). A unified diff
+// header's line number (anchor, 0-based) is where the search starts; matching content still wins.
+function planEdits(original, hunks) {
+  const lines = original.split('\n');
+  // The empty string after a final newline is not a line; insertions go before it
+  const end = lines.length > 1 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+  let cursor = 0;
+  return hunks.map((h) => {
+    const hint = Number.isInteger(h.anchor) ? Math.min(Math.max(h.anchor, 0), end) : null;
+    // A hunk with nothing to match (pure insertion) goes where its header says, or at the end
+    const start = h.oldLines.length ? locateHunk(lines, h.oldLines, hint ?? cursor) : (hint ?? end);
+    if (start === -1) return { ...h, start: null };
+    cursor = start + h.oldLines.length;
+    return { ...h, start };
+  });
+}
+
+function applyEdits(original, planned, accepted) {
+  const lines = original.split('\n');
+  const chosen = planned
+    .map((h, i) => ({ ...h, i }))
+    .filter((h) => h.start !== null && accepted.has(h.i))
+    .sort((a, b) => a.start - b.start);
+  const out = [];
+  let pos = 0;
+  chosen.forEach((h) => {
+    if (h.start < pos) return; // overlaps an earlier accepted hunk
+    out.push(...lines.slice(pos, h.start), ...h.newLines);
+    pos = h.start + h.oldLines.length;
+  });
+  out.push(...lines.slice(pos));
+  return out.join('\n');
+}
+
+function refreshDiffPreview() {
+  if (!diffState || !diffEditor) return;
+  diffState.modified.setValue(applyEdits(diffState.original, diffState.planned, diffState.accepted));
+}
+
+function renderDiffHunks() {
+  if (!diffHunksEl || !diffState) return;
+  diffHunksEl.replaceChildren();
+  diffState.planned.forEach((h, i) => {
+    const label = document.createElement('label');
+    label.className = 'diff-hunk';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = diffState.accepted.has(i);
+    box.disabled = h.start === null;
+    box.addEventListener('change', () => {
+      if (box.checked) diffState.accepted.add(i);
+      else diffState.accepted.delete(i);
+      refreshDiffPreview();
+    });
+    const text = h.start === null
+      ? `Hunk ${i + 1}: does not match the current code`
+      : `Hunk ${i + 1} @ line ${h.start + 1}: -${h.removed} +${h.added}`;
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${text}`));
+    if (h.start === null) label.classList.add('failed');
+    diffHunksEl.appendChild(label);
+  });
+}
+
+async function openDiffReview(original, hunks) {
+  if (!diffReview) return;
+  try { await ensureMonaco(); } catch {
+    appendChat('system', 'The diff review needs the Monaco editor, which failed to load.');
+    return;
+  }
+  closeDiffReview();
+  const planned = planEdits(original, hunks);
+  const accepted = new Set(planned.map((h, i) => (h.start === null ? -1 : i)).filter((i) => i >= 0));
+  if (!accepted.size) {
+    appendChat('system', 'None of the suggested edits match the code in the editor.');
+    return;
+  }
+  const languageId = monacoLanguageId((codeLang.textContent || 'python').trim()) || 'python';
+  diffState = {
+    original,
+    planned,
+    accepted,
+    originalModel: monacoNS.editor.createModel(original, languageId),
+    modified: monacoNS.editor.createModel(original, languageId),
+  };
+  diffReview.hidden = false;
+  if (!diffEditor) {
+    diffEditor = monacoNS.editor.createDiffEditor(diffEditorHost, {
+      theme: 'vs-dark',
+      automaticLayout: true,
+      readOnly: true,
+      renderSideBySide: false,
+      minimap: { enabled: false },
+      fontSize: 13,
+    });
+  }
+  diffEditor.setModel({ original: diffState.originalModel, modified: diffState.modified });
+  if (diffTitleEl) {
+    const failed = planned.filter((h) => h.start === null).length;
+    diffTitleEl.textContent = `Review ${planned.length} change${planned.length === 1 ? '' : 's'}${failed ? ` (${failed} not applicable)` : ''}`;
+  }
+  renderDiffHunks();
+  refreshDiffPreview();
+}
+
+function closeDiffReview() {
+  if (diffReview) diffReview.hidden = true;
+  if (!diffState) return;
+  diffEditor?.setModel(null);
+  diffState.originalModel.dispose();
+  diffState.modified.dispose();
+  diffState = null;
+}
+
+function acceptDiffReview(all) {
+  if (!diffState) return;
+  const { original, planned } = diffState;
+  const accepted = all ? new Set(planned.map((_, i) => i)) : diffState.accepted;
+  const current = getEditorValue();
+  if (current === original) {
+    closeDiffReview();
+    setEditorValue(applyEdits(original, planned, accepted));
+    return;
+  }
+  // The editor changed while the review was open: apply the chosen hunks to the code as it is now,
+  // or reopen the review against it when some of them no longer match
+  const replanned = planEdits(current, planned);
+  const lost = [...accepted].filter((i) => planned[i]?.start !== null && replanned[i].start === null).length;
+  if (lost) {
+    appendChat('system', `The editor changed while the review was open and ${lost} selected hunk${lost === 1 ? ' no longer matches' : 's no longer match'}; the review now compares against the current code.`);
+    openDiffReview(current, planned);
+    return;
+  }
+  closeDiffReview();
+  setEditorValue(applyEdits(current, replanned, accepted));
+}
+
+$('#diff-accept-all')?.addEventListener('click', () => acceptDiffReview(true));
+$('#diff-accept')?.addEventListener('click', () => acceptDiffReview(false));
+$('#diff-reject')?.addEventListener('click', () => closeDiffReview());
+
+// -----------------------
+// Chat context chips (editor, selection, last run)
+// -----------------------
+// Toggled chips attach their content to the outgoing user message as <context> blocks,
+// which the chat log renders as tags (see splitMessageContext).
+const contextChips = document.querySelectorAll('#context-chips [data-context]');
+const CONTEXT_MAX_CHARS = 12000;
+let lastRunOutput = null;
+
+const contextSources = {
+  file: {
+    label: 'current file',
+    get() {
+      const code = getEditorValue();
+      return code.trim() ? { language: (codeLang.textContent || 'python').trim(), text: code } : null;
+    },
+  },
+  selection: {
+    label: 'selection',
+    get() {
+      if (!monacoEditor) return null;
+      const sel = monacoEditor.getSelection();
+      const text = sel ? monacoEditor.getModel().getValueInRange(sel) : '';
+      return text.trim() ? { language: (codeLang.textContent || 'python').trim(), text } : null;
+    },
+  },
+  output: {
+    label: 'last output',
+    get() {
+      const text = lastRunOutput?.stdout || '';
+      return text.trim() ? { text } : null;
+    },
+  },
+  error: {
+    label: 'last error',
+    get() {
+      const text = lastRunOutput?.stderr || '';
+      return text.trim() ? { text } : null;
+    },
+  },
+};
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// One attached block; a closing tag inside the content is written as <\/context> so it cannot end the
+// block early (splitMessageContext would then show the rest of it as typed text)
+function contextBlock(name, body, language = '') {
+  const lang = language ? ` language="${escapeAttr(language)}"` : '';
+  return `<context name="${escapeAttr(name)}"${lang}>\n${body.replace(/<\/context/gi, '<\\/context')}\n</context>`;
+}
+
+function activeContextKeys() {
+  return Array.from(contextChips).filter((c) => c.classList.contains('active')).map((c) => c.dataset.context);
+}
+
+// Prefix the prompt with the content of every active chip that currently has something to send;
+// extraKeys attaches sources regardless of the chips (slash commands)
+function withChatContext(prompt, extraKeys = []) {
+  const blocks = [];
+  new Set([...activeContextKeys(), ...extraKeys]).forEach((key) => {
+    const src = contextSources[key];
+    const value = src?.get();
+    if (!value) return;
+    let text = value.text;
+    if (text.length > CONTEXT_MAX_CHARS) text = `${text.slice(0, CONTEXT_MAX_CHARS)}\n... [truncated]`;
+    blocks.push(contextBlock(src.label, text, value.language));
+  });
+  return blocks.length ? `${blocks.join('\n\n')}\n\n${prompt}` : prompt;
+}
+
+// -> { contexts, text, images }: attached context names, the typed text and any image parts
+function splitMessageContext(content) {
+  const contexts = [];
+  const images = Array.isArray(content) ? content.filter((p) => p.type === 'image') : [];
+  if (Array.isArray(content)) content = content.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+  if (typeof content !== 'string') return { contexts, text: '', images };
+  const text = content.replace(/<context name="([^"]*)"[^>]*>\n[\s\S]*?\n<\/context>\s*/g, (_, name) => {
+    contexts.push(name.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&amp;/g, '&'));
+    return '';
+  });
+  return { contexts, text: text.trim(), images };
+}
+
+// Chips stay toggled across turns; a chip with nothing to send is shown disabled
+function updateContextChips() {
+  contextChips.forEach((chip) => {
+    const value = contextSources[chip.dataset.context]?.get();
+    chip.classList.toggle('empty', !value);
+    const lines = value ? value.text.split('\n').length : 0;
+    chip.title = value ? `${lines} line${lines === 1 ? '' : 's'} will be attached` : 'Nothing to attach yet';
+  });
+}
+
+function restoreContextChips() {
+  const saved = storage.get('context_chips', []);
+  contextChips.forEach((chip) => chip.classList.toggle('active', saved.includes(chip.dataset.context)));
+}
+
+restoreContextChips();
+contextChips.forEach((chip) => {
+  chip.addEventListener('click', () => {
+    chip.classList.toggle('active');
+    storage.set('context_chips', activeContextKeys());
+  });
+});
+ensureMonaco().then(() => {
+  monacoEditor.onDidChangeCursorSelection(() => updateContextChips());
+  monacoEditor.onDidChangeModelContent(() => updateContextChips());
+  updateContextChips();
+}).catch(() => {});
+updateContextChips();
+
+// -----------------------
+// Image input: paste or drop images into the composer
+// -----------------------
+// Images are downscaled (images.maxDimension in config.json) and kept as base64 parts; the user
+// message then becomes [{ type: 'text', text }, { type: 'image', mime, data }, ...]. Only providers
+// whose `images` covers the selected model receive them (see acceptsImages).
+const composerEl = chatInput.closest('.composer');
+const composerImagesEl = $('#composer-images');
+let composerImages = [];
+
+async function readImageFile(file) {
+  const maxDim = appConfig.images?.maxDimension || 1568;
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  // Photos stay JPEG; screenshots and everything else become PNG so text in them stays sharp
+  const mime = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+  const url = canvas.toDataURL(mime, 0.9);
+  return { mime, data: url.slice(url.indexOf(',') + 1), name: file.name || 'image' };
+}
+
+async function addComposerImages(files) {
+  const max = appConfig.images?.maxPerMessage || 4;
+  for (const file of files) {
+    if (composerImages.length >= max) {
+      appendChat('system', `Only ${max} images can be attached to one message.`);
+      break;
+    }
+    try {
+      composerImages.push(await readImageFile(file));
+    } catch (e) {
+      appendChat('system', `Could not read image ${file.name || ''}: ${e.message}`);
+    }
+  }
+  renderComposerImages();
 }
-bootRunner();
 
-let nbCellCounter = 0;
-let nbActiveCell = null;
+function renderComposerImages() {
+  if (!composerImagesEl) return;
+  composerImagesEl.hidden = !composerImages.length;
+  composerImagesEl.replaceChildren(...composerImages.map((image, i) => {
+    const item = document.createElement('div');
+    item.className = 'composer-image';
+    const img = document.createElement('img');
+    img.src = `data:${image.mime};base64,${image.data}`;
+    img.alt = image.name;
+    img.title = image.name;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '×';
+    remove.title = 'Remove image';
+    remove.addEventListener('click', () => {
+      composerImages.splice(i, 1);
+      renderComposerImages();
+    });
+    item.appendChild(img);
+    item.appendChild(remove);
+    return item;
+  }));
+}
 
-function startNotebookCell() {
-  const id = ++nbCellCounter;
-  const cell = document.createElement('div');
-  cell.className = 'nb-cell';
-  const hdr = document.createElement('div');
-  hdr.className = 'nb-hdr';
-  hdr.innerHTML = `<span>In [${id}]</span><span class="status"></span>`;
-  const body = document.createElement('div');
-  body.className = 'nb-body';
-  cell.appendChild(hdr);
-  cell.appendChild(body);
-  nbRoot.appendChild(cell);
-  nbRoot.scrollTop = nbRoot.scrollHeight;
-  nbActiveCell = { id, el: cell, hdr, body };
+function imageFiles(list) {
+  return Array.from(list || []).filter((f) => f.type.startsWith('image/'));
 }
 
-function appendStdout(text) {
-  if (!nbActiveCell) startNotebookCell();
-  const pre = document.createElement('pre');
-  pre.className = 'nb-text nb-stdout';
-  pre.textContent = text;
-  nbActiveCell.body.appendChild(pre);
+// User message content: plain text, or text plus image parts
+function withImageParts(text, images) {
+  if (!images.length) return text;
+  return [{ type: 'text', text }, ...images.map(({ mime, data }) => ({ type: 'image', mime, data }))];
 }
 
-function appendStderr(text) {
-  if (!nbActiveCell) startNotebookCell();
-  const pre = document.createElement('pre');
-  pre.className = 'nb-text nb-stderr';
-  pre.textContent = text;
-  nbActiveCell.body.appendChild(pre);
+chatInput.addEventListener('paste', (e) => {
+  const files = imageFiles(e.clipboardData?.files);
+  if (!files.length) return;
+  e.preventDefault();
+  addComposerImages(files);
+});
+composerEl?.addEventListener('dragover', (e) => {
+  if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+  e.preventDefault();
+  composerEl.classList.add('dragover');
+});
+composerEl?.addEventListener('dragleave', () => composerEl.classList.remove('dragover'));
+composerEl?.addEventListener('drop', (e) => {
+  composerEl.classList.remove('dragover');
+  const files = imageFiles(e.dataTransfer?.files);
+  if (!files.length) return;
+  e.preventDefault();
+  addComposerImages(files);
+});
+
+// Wire chat interactions
+// -----------------------
+// System prompt: persona + runtime profile
+// -----------------------
+// chatHistory[0] is rebuilt before each request from the active persona's instructions and a
+// profile of the selected runtime (constraints + the packages the Pyodide worker has loaded).
+const personaSelect = $('#persona-select');
+const personaDialog = $('#persona-dialog');
+const personaList = $('#persona-list');
+const personaNameInput = $('#persona-name');
+const personaInstructionsInput = $('#persona-instructions');
+const personaPreview = $('#persona-preview');
+// Mirrors PRELOAD_PKGS in py-runner.js until the worker reports what it actually loaded
+let runtimePackages = ['numpy', 'matplotlib', 'scikit-learn', 'scipy'];
+let personaEditingId = null;
+
+const builtinPersonas = [
+  {
+    id: 'code-only',
+    name: 'Code only',
+    builtin: true,
+    instructions:
+      'You are a helpful coding assistant. Respond with code only: output a single runnable snippet in a ```<language>``` block. Choose the most appropriate language for the user\'s request. When the user asks for a website or webpage, return a complete HTML document (include inline CSS/JS if needed) in a ```html``` block. Do not include installation steps, pip/conda commands, environment setup, or extraneous prose. Assume all dependencies are available. Always have the objective in mind: provide code that can be run to achieve the user\'s goal. If you need to use a library, just use it. If you need to define a function or class, do so. Keep your responses concise and focused on the code needed to accomplish the task. If the user asks for an explanation, respond with brief comments in the code. Never say you are an AI model or mention limitations. Never include any text outside of the code block. End the code with the final value to return or print. If the user asks a non-coding question, respond with "I can only assist with coding tasks." When asked to change code the user attached as context, you may instead reply with only the edits, as SEARCH/REPLACE blocks (<<<<<<< SEARCH, the exact existing lines, =======, the new lines, >>>>>>> REPLACE) or as a unified diff in a ```diff``` block.',
+  },
+  {
+    id: 'tutor',
+    name: 'Tutor',
+    builtin: true,
+    instructions: 'You are a patient programming tutor. Answer with a short explanation of the approach (a few sentences), then one runnable snippet in a ```<language>``` block with comments on the important lines. Prefer clear, idiomatic code over clever code. When the user shares an error, explain its cause before giving the fix.',
+  },
+];
+
+const defaultRuntimeProfiles = {
+  'pyodide': 'Code runs in Pyodide (CPython compiled to WebAssembly) inside a Web Worker in the browser. There is no network access, no threads or subprocesses, and input() is unavailable. Preloaded packages: {packages}. Matplotlib figures are captured when plt.show() is called; the value of the last expression is displayed. Answer in Python.',
+  'gradio-lite': 'Code runs in Gradio Lite (Gradio on Pyodide in the browser). Build the UI with `import gradio as gr` and end with demo.launch(). Extra pure-Python packages are installed from a header comment: a line `# requirements:` followed by one `# package` line each. There is no server, GPU or filesystem persistence. Answer in Python.',
+  'jupyterlite': 'Code is sent to a JupyterLite Python REPL (Pyodide kernel) in the browser. Plots render inline; extra pure-Python packages can be installed with `%pip install <package>`. There is no network access beyond package installs. Answer in Python.',
+  'html-preview': 'Code is rendered as one HTML document in a sandboxed iframe. Return a complete HTML document with inline CSS and JavaScript in a ```html``` block; load libraries only from CDN URLs.',
+};
+
+function getPersonas() {
+  return [...builtinPersonas, ...storage.get('personas', [])];
 }
 
-function appendDisplay(payload) {
-  if (!nbActiveCell) startNotebookCell();
-  const kind = payload && payload.kind;
-  if (kind === 'image' && payload.mime === 'image/png' && payload.data) {
-    const img = document.createElement('img');
-    img.className = 'nb-image';
-    img.src = `data:${payload.mime};base64,${payload.data}`;
-    nbActiveCell.body.appendChild(img);
-  } else if (kind === 'html' && payload.html) {
-    const div = document.createElement('div');
-    div.innerHTML = payload.html;
-    nbActiveCell.body.appendChild(div);
-  } else if (payload && payload.text) {
-    const pre = document.createElement('pre');
-    pre.className = 'nb-text nb-stdout';
-    pre.textContent = payload.text;
-    nbActiveCell.body.appendChild(pre);
+function getActivePersona() {
+  const personas = getPersonas();
+  return personas.find((p) => p.id === storage.get('active_persona', 'code-only')) || personas[0];
+}
+
+function runtimeProfile(runtime) {
+  const profiles = { ...defaultRuntimeProfiles, ...(appConfig.prompts?.runtimes || {}) };
+  const label = RUNTIME_LABELS[runtime] || runtime;
+  const text = (profiles[runtime] || profiles.pyodide).replace(/\{packages\}/g, runtimePackages.join(', ') || 'none');
+  return `Target runtime: ${label}. ${text}`;
+}
+
+function buildSystemPrompt(persona = getActivePersona()) {
+  return `${persona.instructions}\n\n${runtimeProfile(runtimeProviderSel.value)}`;
+}
+
+function refreshSystemPrompt() {
+  chatHistory[0].content = buildSystemPrompt();
+}
+
+function renderPersonaSelect() {
+  if (!personaSelect) return;
+  const active = getActivePersona();
+  personaSelect.replaceChildren();
+  getPersonas().forEach((p) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    personaSelect.appendChild(opt);
+  });
+  personaSelect.value = active.id;
+}
+
+function renderPersonaEditor() {
+  if (!personaList) return;
+  const personas = getPersonas();
+  const editing = personas.find((p) => p.id === personaEditingId) || getActivePersona();
+  personaEditingId = editing.id;
+  personaList.replaceChildren();
+  personas.forEach((p) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = p.builtin ? `${p.name} (built-in)` : p.name;
+    if (p.id === editing.id) btn.classList.add('active');
+    btn.addEventListener('click', () => { personaEditingId = p.id; renderPersonaEditor(); });
+    personaList.appendChild(btn);
+  });
+  personaNameInput.value = editing.name;
+  personaInstructionsInput.value = editing.instructions;
+  personaNameInput.readOnly = !!editing.builtin;
+  personaInstructionsInput.readOnly = !!editing.builtin;
+  $('#persona-save').disabled = !!editing.builtin;
+  $('#persona-delete').disabled = !!editing.builtin;
+  personaPreview.textContent = buildSystemPrompt(editing);
+}
+
+function savePersonaFromEditor() {
+  const name = personaNameInput.value.trim();
+  const instructions = personaInstructionsInput.value.trim();
+  if (!name || !instructions) {
+    appendChat('system', 'A persona needs a name and instructions.');
+    return;
   }
+  const custom = storage.get('personas', []);
+  const idx = custom.findIndex((p) => p.id === personaEditingId);
+  if (idx === -1) return;
+  custom[idx] = { ...custom[idx], name, instructions };
+  storage.set('personas', custom);
+  renderPersonaSelect();
+  renderPersonaEditor();
 }
 
-// Wire chat interactions
+function createPersona() {
+  const base = getPersonas().find((p) => p.id === personaEditingId) || getActivePersona();
+  const persona = { id: `persona-${newSessionId()}`, name: `${base.name} (copy)`, instructions: base.instructions };
+  storage.set('personas', [...storage.get('personas', []), persona]);
+  personaEditingId = persona.id;
+  renderPersonaSelect();
+  renderPersonaEditor();
+  personaNameInput.focus();
+}
+
+function deletePersona() {
+  const custom = storage.get('personas', []);
+  const persona = custom.find((p) => p.id === personaEditingId);
+  if (!persona || !window.confirm(`Delete persona "${persona.name}"?`)) return;
+  storage.set('personas', custom.filter((p) => p.id !== persona.id));
+  if (storage.get('active_persona', null) === persona.id) storage.set('active_persona', 'code-only');
+  personaEditingId = null;
+  renderPersonaSelect();
+  renderPersonaEditor();
+}
+
+personaSelect?.addEventListener('change', () => {
+  storage.set('active_persona', personaSelect.value);
+  refreshSystemPrompt();
+  updateContextMeter();
+});
+$('#persona-edit')?.addEventListener('click', () => {
+  personaEditingId = getActivePersona().id;
+  renderPersonaEditor();
+  personaDialog?.showModal();
+});
+$('#persona-new')?.addEventListener('click', createPersona);
+$('#persona-save')?.addEventListener('click', savePersonaFromEditor);
+$('#persona-delete')?.addEventListener('click', deletePersona);
+$('#persona-use')?.addEventListener('click', () => {
+  storage.set('active_persona', personaEditingId);
+  renderPersonaSelect();
+  refreshSystemPrompt();
+  personaDialog?.close();
+});
+$('#persona-close')?.addEventListener('click', () => personaDialog?.close());
+personaInstructionsInput?.addEventListener('input', () => {
+  personaPreview.textContent = buildSystemPrompt({ instructions: personaInstructionsInput.value });
+});
+renderPersonaSelect();
+
 const chatHistory = [
   {
     role: 'system',
-    content:
-      'You are a helpful coding assistant. Respond with code only: output a single runnable snippet in a ```<language>``` block. Choose the most appropriate language for the user\'s request. When the user asks for a website or webpage, return a complete HTML document (include inline CSS/JS if needed) in a ```html``` block. Do not include installation steps, pip/conda commands, environment setup, or extraneous prose. Assume all dependencies are available. Always have the objective in mind: provide code that can be run to achieve the user\'s goal. If you need to use a library, just use it. If you need to define a function or class, do so. Keep your responses concise and focused on the code needed to accomplish the task. If the user asks for an explanation, respond with brief comments in the code. Never say you are an AI model or mention limitations. Never include any text outside of the code block. End the code with the final value to return or print. If the user asks a non-coding question, respond with "I can only assist with coding tasks."',
+    content: buildSystemPrompt(),
   },
 ];
 
@@ -600,35 +3511,526 @@ function consumePendingRuntimeFromExamples(hasCode) {
   delete chatSend.dataset.pendingAutorun;
   runtimeProviderSel.value = pendingRuntime;
   if (shouldAutoRun) {
-    if (hasCode) runBtn?.click();
+    if (hasCode) runEditorCode({ origin: 'chat' });
     return;
   }
   runtimeProviderSel.dispatchEvent(new Event('change'));
 }
 
+// Structured replies name their runtime and language; a runtime chosen by an example prompt still wins.
+// Code for the runtimes in structuredOutput.autorunRuntimes (previews by default) runs right away.
+function applyStructuredReply({ runtime, language, code }) {
+  const pendingRuntime = chatSend.dataset.pendingRuntime;
+  const exampleAutorun = chatSend.dataset.pendingAutorun === '1';
+  clearPendingRuntimeFromExamples();
+  if (!code.trim()) return;
+  const target = pendingRuntime || runtime || runtimeProviderSel.value;
+  loadSnippetIntoEditor(code, language || 'python', target);
+  const autorun = appConfig.structuredOutput?.autorunRuntimes || ['html-preview', 'gradio-lite'];
+  if (exampleAutorun || autorun.includes(target)) runEditorCode({ origin: 'chat' });
+}
+
 function clearPendingRuntimeFromExamples() {
   if (!chatSend) return;
   delete chatSend.dataset.pendingRuntime;
   delete chatSend.dataset.pendingAutorun;
 }
 
-chatSend.addEventListener('click', async () => {
-  const prompt = chatInput.value.trim();
-  if (!prompt) {
-    clearPendingRuntimeFromExamples();
+// Chat and auto-fix requests in flight; the composer's Stop button aborts them all
+const chatStop = $('#chat-stop');
+const activeChatRequests = new Set();
+
+function beginChatRequest() {
+  const controller = new AbortController();
+  activeChatRequests.add(controller);
+  if (chatStop) chatStop.hidden = false;
+  return controller;
+}
+
+function endChatRequest(controller) {
+  activeChatRequests.delete(controller);
+  if (chatStop) chatStop.hidden = activeChatRequests.size === 0;
+}
+
+chatStop?.addEventListener('click', () => {
+  activeChatRequests.forEach((controller) => controller.abort());
+});
+
+// Aborts every reply and agent run in flight, before the history they write into goes away
+function cancelChatActivity() {
+  activeChatRequests.forEach((controller) => controller.abort());
+  activeAgentRun?.cancel();
+}
+
+// Requests remember the chat they were sent from; once it is no longer open (the workspace was
+// locked underneath them) whatever they bring back is dropped instead of landing in another chat
+function leftChat(sessionId) {
+  return (activeSession?.id ?? null) !== sessionId;
+}
+
+// Shows rate-limit/backoff waits in the reply bubble until the retry goes out
+function retryNotice(el) {
+  return ({ error, attempt, maxRetries, waitMs }) => {
+    setMessageText(el, `${error.message} Retrying in ${Math.ceil(waitMs / 1000)}s (${attempt}/${maxRetries})...`);
+  };
+}
+
+// -----------------------
+// Slash commands
+// -----------------------
+// A message starting with /name is handled here instead of going to the LLM as typed. run(arg)
+// either acts locally (returning nothing) or returns { prompt, context } to send a prepared prompt
+// with the given context sources attached; errors are shown to the user. values() feeds the
+// argument autocompletion.
+const slashMenu = $('#slash-menu');
+let slashMenuState = null;
+
+const slashCommands = [
+  {
+    name: 'help',
+    description: 'List the commands',
+    run() {
+      appendChat('system', slashCommands.map((c) => `/${c.name}${c.args ? ` ${c.args}` : ''} — ${c.description}`).join('\n'));
+    },
+  },
+  {
+    name: 'run',
+    description: 'Run the editor code',
+    run() {
+      runEditorCode({ origin: 'user' });
+    },
+  },
+  {
+    name: 'clear',
+    description: 'Clear this conversation (the editor is kept)',
+    run() {
+      clearConversation();
+    },
+  },
+  {
+    name: 'runtime',
+    args: '<runtime>',
+    description: 'Switch the runtime',
+    values: () => Object.keys(RUNTIME_LABELS),
+    run(arg) {
+      if (!RUNTIME_LABELS[arg]) throw new Error(`Unknown runtime "${arg}". Choose one of: ${Object.keys(RUNTIME_LABELS).join(', ')}.`);
+      runtimeProviderSel.value = arg;
+      runtimeProviderSel.dispatchEvent(new Event('change'));
+      appendChat('system', `Runtime: ${RUNTIME_LABELS[arg]}`);
+    },
+  },
+  {
+    name: 'explain',
+    args: '[question]',
+    description: 'Explain the editor code',
+    run(arg) {
+      requireEditorCode();
+      return {
+        prompt: `Explain what the attached code does${arg ? `, focusing on: ${arg}` : ''}. Walk through the important parts briefly.`,
+        context: ['file'],
+      };
+    },
+  },
+  {
+    name: 'fix',
+    args: '[hint]',
+    description: 'Fix the code using the last error',
+    run(arg) {
+      requireEditorCode();
+      if (!lastRunOutput?.stderr?.trim()) throw new Error('There is no error to fix yet; run the code first.');
+      return {
+        prompt: `Running the attached code failed with the attached error.${arg ? ` Hint: ${arg}.` : ''} Return the complete corrected snippet.`,
+        context: ['file', 'error'],
+      };
+    },
+  },
+  {
+    name: 'test',
+    args: '[focus]',
+    description: 'Write tests for the editor code',
+    run(arg) {
+      requireEditorCode();
+      return {
+        prompt: `Write tests for the attached code${arg ? `, covering: ${arg}` : ''}. Use plain assert statements in one runnable snippet that includes the code under test and prints a short summary.`,
+        context: ['file'],
+      };
+    },
+  },
+  {
+    name: 'export',
+    args: '[md|json]',
+    description: 'Download this chat',
+    values: () => ['md', 'json'],
+    run(arg) {
+      if (arg && arg !== 'md' && arg !== 'json') throw new Error('Export as md or json.');
+      exportActiveSession(arg === 'json' ? 'json' : 'markdown');
+    },
+  },
+  {
+    name: 'model',
+    args: '[model]',
+    description: 'Show or switch the model of the current provider',
+    values: () => getProvider(llmProviderSel.value)?.models || [],
+    run(arg) {
+      const provider = getProvider(llmProviderSel.value);
+      const models = provider?.models || [];
+      if (!arg) {
+        appendChat('system', models.length
+          ? `${provider.label || provider.id}: ${providerModel(provider)} (available: ${models.join(', ')})`
+          : `${provider?.label || llmProviderSel.value} has no model choice.`);
+        return;
+      }
+      if (!models.includes(arg)) throw new Error(`${provider?.label || llmProviderSel.value} has no model "${arg}".${models.length ? ` Available: ${models.join(', ')}.` : ''}`);
+      llmModelSel.value = arg;
+      llmModelSel.dispatchEvent(new Event('change'));
+      appendChat('system', `Model: ${arg}`);
+    },
+  },
+  {
+    name: 'example',
+    args: '<id>',
+    description: 'Load a code example or send a prompt example',
+    values: () => [...getExamples().codes, ...getExamples().prompts].map((it) => it.id).filter(Boolean),
+    run(arg) {
+      const { codes, prompts } = getExamples();
+      const code = codes.find((it) => it.id === arg);
+      if (code) {
+        useCodeExample(code, false);
+        appendChat('system', `Loaded example: ${code.title || code.id}`);
+        return;
+      }
+      const prompt = prompts.find((it) => it.id === arg);
+      if (!prompt) throw new Error(`No example with id "${arg}". Type /example and a space to see the ids.`);
+      // Defer so this send finishes before the example's own send starts
+      setTimeout(() => sendPromptExample(prompt), 0);
+    },
+  },
+];
+
+function requireEditorCode() {
+  if (!getEditorValue().trim()) throw new Error('The editor is empty.');
+}
+
+function clearConversation() {
+  // A reply or agent step still in flight would land in the emptied history
+  if (chatBusy()) return;
+  chatHistory.splice(1);
+  if (activeSession) delete activeSession.contextSummary;
+  chatLog.replaceChildren();
+  updateContextMeter();
+  scheduleSessionSave();
+}
+
+function parseSlashCommand(text) {
+  const m = text.match(/^\/(\S+)(?:\s+([\s\S]*))?$/);
+  return m ? { name: m[1].toLowerCase(), arg: (m[2] || '').trim() } : null;
+}
+
+// -> null when the command was handled locally, or { prompt, context } to send
+async function runSlashCommand(text) {
+  const { name, arg } = parseSlashCommand(text) || {};
+  const command = slashCommands.find((c) => c.name === name);
+  if (!command) throw new Error(`Unknown command /${name || ''}. Type /help for the list.`);
+  if (command.args?.startsWith('<') && !arg) throw new Error(`Usage: /${command.name} ${command.args}`);
+  await loadConfig();
+  return (await command.run(arg)) || null;
+}
+
+// Completions for the composer text: command names, then the command's argument values
+function slashSuggestions(text) {
+  if (!text.startsWith('/') || text.includes('\n')) return [];
+  const space = text.indexOf(' ');
+  if (space === -1) {
+    const prefix = text.slice(1).toLowerCase();
+    return slashCommands
+      .filter((c) => c.name.startsWith(prefix))
+      .map((c) => ({ insert: `/${c.name}${c.args ? ' ' : ''}`, label: `/${c.name}${c.args ? ` ${c.args}` : ''}`, hint: c.description }));
+  }
+  const command = slashCommands.find((c) => c.name === text.slice(1, space).toLowerCase());
+  if (!command?.values) return [];
+  const prefix = text.slice(space + 1).trimStart().toLowerCase();
+  return command.values()
+    .filter((v) => v.toLowerCase().startsWith(prefix))
+    .slice(0, 12)
+    .map((v) => ({ insert: `/${command.name} ${v}`, label: v, hint: '' }));
+}
+
+function renderSlashMenu() {
+  if (!slashMenu) return;
+  const items = slashSuggestions(chatInput.value);
+  if (!items.length) {
+    closeSlashMenu();
     return;
   }
-  chatInput.value = '';
-  const wantsWebsite = isWebsitePrompt(prompt);
-  appendChat('user', prompt);
-  chatHistory.push({ role: 'user', content: prompt });
+  const index = Math.min(slashMenuState?.index ?? 0, items.length - 1);
+  slashMenuState = { items, index };
+  slashMenu.replaceChildren(...items.map((item, i) => {
+    const row = document.createElement('div');
+    row.className = `slash-item${i === index ? ' active' : ''}`;
+    const label = document.createElement('span');
+    label.textContent = item.label;
+    row.appendChild(label);
+    if (item.hint) {
+      const hint = document.createElement('span');
+      hint.className = 'hint';
+      hint.textContent = item.hint;
+      row.appendChild(hint);
+    }
+    // mousedown keeps focus in the textarea
+    row.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      acceptSlashSuggestion(item);
+    });
+    return row;
+  }));
+  slashMenu.hidden = false;
+}
+
+function closeSlashMenu() {
+  slashMenuState = null;
+  if (slashMenu) slashMenu.hidden = true;
+}
+
+function acceptSlashSuggestion(item) {
+  chatInput.value = item.insert;
+  chatInput.setSelectionRange(item.insert.length, item.insert.length);
+  closeSlashMenu();
+  renderSlashMenu();
+}
+
+chatInput.addEventListener('input', () => {
+  if (slashMenuState) slashMenuState.index = 0;
+  renderSlashMenu();
+});
+chatInput.addEventListener('blur', () => closeSlashMenu());
+chatInput.addEventListener('keydown', (e) => {
+  if (!slashMenuState || e.ctrlKey || e.metaKey) return;
+  const { items, index } = slashMenuState;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    slashMenuState.index = (index + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+    renderSlashMenu();
+  } else if (e.key === 'Tab') {
+    acceptSlashSuggestion(items[index]);
+  } else if (e.key === 'Enter') {
+    // Enter completes; on an already complete command it sends
+    if (chatInput.value.trim() === items[index].insert.trim()) {
+      closeSlashMenu();
+      chatSend.click();
+    } else {
+      acceptSlashSuggestion(items[index]);
+    }
+  } else if (e.key === 'Escape') {
+    closeSlashMenu();
+  } else {
+    return;
+  }
+  e.preventDefault();
+});
+
+// -----------------------
+// Edit, regenerate and branches
+// -----------------------
+// chatHistory is the active path. Editing a user message or regenerating a reply forks the
+// conversation there: the message at the fork carries versions (one slot per branch; the active
+// slot is null because that branch lives in chatHistory) and version (the active slot). Inactive
+// slots hold { messages, editor }: the branch from the fork on and the editor as it left it.
+function editorSnapshot() {
+  return { code: getEditorValue(), language: (codeLang.textContent || 'python').trim() };
+}
+
+// Moves chatHistory[index..] into its version slot and cuts the path there -> fork
+function forkHistory(index) {
+  const { versions, version = 0, ...head } = chatHistory[index];
+  const slots = Array.isArray(versions) ? versions.slice() : [null];
+  slots[version] = { messages: [head, ...chatHistory.slice(index + 1)], editor: editorSnapshot() };
+  chatHistory.splice(index);
+  // A cached summary may cover messages that just left the path
+  if (activeSession) delete activeSession.contextSummary;
+  return { index, versions: slots, previous: version };
+}
+
+// Puts message at the fork point as the newest branch
+function pushBranchHead(fork, message) {
+  const versions = [...fork.versions, null];
+  const head = { ...message, versions, version: versions.length - 1 };
+  chatHistory.splice(fork.index, Infinity, head);
+  return head;
+}
+
+function activateBranch(index, versions, target) {
+  const { messages, editor } = versions[target];
+  const slots = versions.slice();
+  slots[target] = null;
+  const [head, ...rest] = messages;
+  chatHistory.splice(index, Infinity, slots.length > 1 ? { ...head, versions: slots, version: target } : head, ...rest);
+  if (editor) loadSnippetIntoEditor(editor.code, editor.language);
+}
 
-  appendChat('assistant', 'Thinking...');
+// Back to the branch that was active before the fork; the new one is dropped
+function discardFork(fork) {
+  activateBranch(fork.index, fork.versions, fork.previous);
+}
+
+function switchBranch(message, target) {
+  const index = chatHistory.indexOf(message);
+  if (index === -1 || !message.versions?.[target] || chatBusy()) return;
+  const fork = forkHistory(index);
+  activateBranch(index, fork.versions, target);
+  renderChatLog();
+  scheduleSessionSave();
+}
+
+function chatBusy() {
+  if (!activeChatRequests.size && !activeAgentRun) return false;
+  appendChat('system', 'Wait for the current reply to finish or stop it first.');
+  return true;
+}
+
+// Same attached context and images, new typed text
+function withMessageText(content, text) {
+  const parts = Array.isArray(content) ? content : [{ type: 'text', text: content }];
+  const first = parts.find((p) => p.type === 'text')?.text || '';
+  const blocks = first.match(/<context name="[^"]*"[^>]*>\n[\s\S]*?\n<\/context>/g) || [];
+  const next = blocks.length ? `${blocks.join('\n\n')}\n\n${text}` : text;
+  const images = parts.filter((p) => p.type === 'image');
+  return images.length ? [{ type: 'text', text: next }, ...images] : next;
+}
+
+// Branch arrows plus Edit (user) or Regenerate (assistant) under a message
+function decorateMessage(el, message) {
+  if (!el || !['user', 'assistant'].includes(message.role)) return;
+  const bar = document.createElement('div');
+  bar.className = `msg-actions ${message.role}`;
+  const addButton = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    bar.appendChild(btn);
+    return btn;
+  };
+  if (Array.isArray(message.versions) && message.versions.length > 1) {
+    addButton('‹', 'Previous branch', () => switchBranch(message, message.version - 1)).disabled = message.version === 0;
+    const count = document.createElement('span');
+    count.textContent = `${message.version + 1}/${message.versions.length}`;
+    bar.appendChild(count);
+    addButton('›', 'Next branch', () => switchBranch(message, message.version + 1)).disabled = message.version === message.versions.length - 1;
+  }
+  if (message.role === 'user') addButton('Edit', 'Edit this message and send it again as a new branch', () => startMessageEdit(el, message));
+  else addButton('Regenerate', 'Ask again for this reply as a new branch', () => regenerateReply(message));
+  const usageNote = el.nextElementSibling?.classList.contains('msg-usage') ? el.nextElementSibling : null;
+  (usageNote || el).after(bar);
+}
+
+function startMessageEdit(el, message) {
+  if (chatBusy() || el.hidden) return;
+  const form = document.createElement('div');
+  form.className = 'msg-edit';
+  const input = document.createElement('textarea');
+  input.rows = 3;
+  input.value = splitMessageContext(message.content).text;
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const sendBtn = document.createElement('button');
+  sendBtn.type = 'button';
+  sendBtn.textContent = 'Save & send';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Cancel';
+  actions.append(sendBtn, cancelBtn);
+  form.append(input, actions);
+  const close = () => {
+    form.remove();
+    el.hidden = false;
+  };
+  const submit = () => {
+    const text = input.value.trim();
+    if (!text) return;
+    close();
+    resendEditedMessage(message, text);
+  };
+  sendBtn.addEventListener('click', submit);
+  cancelBtn.addEventListener('click', close);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  });
+  el.hidden = true;
+  el.after(form);
+  input.focus();
+}
+
+async function resendEditedMessage(message, text) {
+  const index = chatHistory.indexOf(message);
+  if (index === -1 || chatBusy()) return;
+  const fork = forkHistory(index);
+  const userTurn = pushBranchHead(fork, { role: 'user', content: withMessageText(message.content, text) });
+  renderChatLog();
+  scheduleSessionSave();
+  await requestReply({ userTurn, fork, wantsWebsite: isWebsitePrompt(text) });
+}
+
+async function regenerateReply(message) {
+  const index = chatHistory.indexOf(message);
+  if (index === -1 || chatBusy()) return;
+  const fork = forkHistory(index);
+  renderChatLog();
+  const lastUser = chatHistory.filter((m) => m.role === 'user').pop();
+  await requestReply({ fork, wantsWebsite: isWebsitePrompt(splitMessageContext(lastUser?.content).text) });
+}
+
+// Streams the assistant's answer to the end of chatHistory and applies its code. userTurn is the
+// user message being answered; fork is set for edits and regenerations (see forkHistory), whose
+// new branch is dropped again when nothing comes back.
+async function requestReply({ userTurn = null, fork = null, wantsWebsite = false } = {}) {
+  const regenerating = !!fork && !userTurn;
+  const pushReply = (message) => {
+    if (regenerating) return pushBranchHead(fork, message);
+    chatHistory.push(message);
+    return message;
+  };
+  const undoTurn = () => {
+    if (fork) {
+      discardFork(fork);
+      renderChatLog();
+    } else {
+      const at = chatHistory.indexOf(userTurn);
+      if (at !== -1) chatHistory.splice(at, 1);
+    }
+  };
+  appendChat('assistant', 'Thinking...', { markdown: false });
   const thinkingEl = chatLog.lastElementChild;
+  const streamer = createReplyStreamer(thinkingEl);
+  const request = beginChatRequest();
+  const sessionId = activeSession?.id ?? null;
+  let usage = null;
+  const onUsage = (entry) => { usage = addUsage(usage, entry); };
   try {
-    const reply = await callLLM(chatHistory);
-    thinkingEl.textContent = reply;
-    chatHistory.push({ role: 'assistant', content: reply });
+    refreshSystemPrompt();
+    const { reply, structured } = await callLLMForCode(chatHistory, streamer.push, { signal: request.signal, onRetry: retryNotice(thinkingEl), onUsage });
+    streamer.stop();
+    if (leftChat(sessionId)) return;
+    renderAssistantMessage(thinkingEl, reply);
+    appendUsageNote(thinkingEl, usage);
+    decorateMessage(thinkingEl, pushReply({ role: 'assistant', content: reply, ...(usage && { usage }) }));
+    scheduleSessionSave();
+    // Edits against existing code go through the diff review instead of replacing the editor
+    const edits = parseCodeEdits(reply);
+    if (edits.length && streamer.originalCode.trim()) {
+      streamer.restoreEditor();
+      openDiffReview(streamer.originalCode, edits);
+      clearPendingRuntimeFromExamples();
+      return;
+    }
+    if (structured) {
+      applyStructuredReply(structured);
+      return;
+    }
     const { language, code } = extractCodeFromMarkdown(reply);
     const effectiveLang = language || (wantsWebsite ? 'html' : null);
     const effectiveCode = code || '';
@@ -656,9 +4058,95 @@ chatSend.addEventListener('click', async () => {
     }
     consumePendingRuntimeFromExamples(hasRunnableCode);
   } catch (e) {
-    thinkingEl.textContent = `Error: ${e.message}`;
+    streamer.stop();
+    clearPendingRuntimeFromExamples();
+    if (leftChat(sessionId)) return;
+    if (e.name !== 'AbortError') {
+      if (regenerating) {
+        undoTurn();
+        appendChat('system', describeLLMError(e));
+      } else {
+        setMessageText(thinkingEl, describeLLMError(e));
+      }
+      return;
+    }
+    // Keep whatever arrived before Stop; the editor goes back to the code it had
+    streamer.restoreEditor();
+    if (streamer.text.trim()) {
+      renderAssistantMessage(thinkingEl, `${streamer.text}\n\n*(stopped)*`);
+      decorateMessage(thinkingEl, pushReply({ role: 'assistant', content: streamer.text }));
+    } else if (fork) {
+      undoTurn();
+      appendChat('system', 'Stopped.');
+    } else {
+      setMessageText(thinkingEl, 'Stopped.');
+      undoTurn();
+    }
+    scheduleSessionSave();
+  } finally {
+    endChatRequest(request);
+  }
+}
+
+chatSend.addEventListener('click', async () => {
+  if (workspaceLocked()) {
+    appendChat('system', 'The workspace is locked; unlock the vault to continue.');
+    return;
+  }
+  let prompt = chatInput.value.trim();
+  let forcedContext = [];
+  if (prompt.startsWith('/')) {
+    closeSlashMenu();
+    let prepared;
+    try {
+      prepared = await runSlashCommand(prompt);
+    } catch (e) {
+      appendChat('system', e.message);
+      return;
+    }
+    if (!prepared) {
+      chatInput.value = '';
+      return;
+    }
+    ({ prompt } = prepared);
+    forcedContext = prepared.context || [];
+  }
+  const images = composerImages.slice();
+  if (!prompt && !images.length) {
+    clearPendingRuntimeFromExamples();
+    return;
+  }
+  if (images.length) {
+    await loadConfig();
+    const provider = getProvider(llmProviderSel.value);
+    if (!acceptsImages(provider)) {
+      appendChat('system', `${provider?.label || llmProviderSel.value} (${provider ? providerModel(provider) : 'no model'}) does not accept images; pick a vision-capable model or remove the images.`);
+      return;
+    }
+  }
+  // Checked before anything is cleared, so the typed message is still there once the run ends
+  if (agentToggle?.checked && activeAgentRun) {
+    appendChat('system', 'An agent run is already in progress; stop it first.');
+    return;
+  }
+  chatInput.value = '';
+  composerImages = [];
+  renderComposerImages();
+  const outgoing = withImageParts(withChatContext(prompt, forcedContext), images);
+  if (agentToggle?.checked) {
     clearPendingRuntimeFromExamples();
+    appendChat('user', outgoing);
+    await runAgent(outgoing);
+    return;
   }
+  const wantsWebsite = isWebsitePrompt(prompt);
+  appendChat('user', outgoing);
+  const userTurn = { role: 'user', content: outgoing };
+  chatHistory.push(userTurn);
+  decorateMessage(chatLog.lastElementChild, userTurn);
+  autoTitleActiveSession(prompt);
+  scheduleSessionSave();
+  await requestReply({ userTurn, wantsWebsite });
 });
 
 chatInput.addEventListener('keydown', (e) => {
@@ -668,8 +4156,21 @@ chatInput.addEventListener('keydown', (e) => {
   }
 });
 
+// Run the editor contents, tagging the run so its result can be traced back (see auto-fix)
+function runEditorCode(meta) {
+  // Run stays disabled while a Python run is in flight, and click() on it would do nothing
+  if (runBtn.disabled) {
+    appendChat('system', 'A Python run is still in progress; stop it before running the editor again.');
+    return;
+  }
+  nextRunMeta = meta;
+  runBtn.click();
+}
+
 // Run code
 runBtn.addEventListener('click', () => {
+  const runMeta = nextRunMeta || { origin: 'user' };
+  nextRunMeta = null;
   const code = getEditorValue();
   if (!code.trim()) {
     appendOutput('No code to run.');
@@ -700,12 +4201,384 @@ runBtn.addEventListener('click', () => {
       appendStderr('Runtime not ready yet.');
       return;
     }
-    switchToView('console');
-    startNotebookCell();
-    runner.postMessage({ type: 'run', language: (codeLang.textContent || 'python').toLowerCase(), code });
+    const language = (codeLang.textContent || 'python').toLowerCase();
+    runInWorker(code, language === 'py' ? 'python' : language, runMeta);
   }
 });
 
+// -----------------------
+// Auto-fix: feed failing runs back to the LLM
+// -----------------------
+const autoFixToggle = $('#autofix-toggle');
+const autoFixAttemptsInput = $('#autofix-attempts');
+
+if (autoFixToggle) autoFixToggle.checked = storage.get('autofix_enabled', false);
+if (autoFixAttemptsInput) {
+  autoFixAttemptsInput.value = String(storage.get('autofix_attempts', 3));
+  // Without a saved choice, the default comes from config.json (autoFix.maxAttempts)
+  loadConfig().then(() => {
+    if (storage.get('autofix_attempts', null) === null) autoFixAttemptsInput.value = String(appConfig.autoFix?.maxAttempts ?? 3);
+  });
+}
+autoFixToggle?.addEventListener('change', () => storage.set('autofix_enabled', autoFixToggle.checked));
+autoFixAttemptsInput?.addEventListener('change', () => {
+  storage.set('autofix_attempts', autoFixMaxAttempts());
+  autoFixAttemptsInput.value = String(autoFixMaxAttempts());
+});
+
+function autoFixMaxAttempts() {
+  const n = parseInt(autoFixAttemptsInput?.value, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 1), 10) : 3;
+}
+
+function buildAutoFixPrompt(code, stderr) {
+  const tail = stderr.trim().split('\n').slice(-40).join('\n');
+  return `Running this code failed:\n\n\`\`\`python\n${code}\n\`\`\`\n\nError output:\n\n\`\`\`\n${tail}\n\`\`\`\n\nReturn the complete corrected snippet.`;
+}
+
+// The error output quoted in an auto-fix prompt (see buildAutoFixPrompt)
+function autoFixPromptError(prompt) {
+  return (/Error output:\n\n```\n([\s\S]*?)\n```/.exec(prompt) || [])[1] || '';
+}
+
+// Collapsible chat-log entry for one attempt; status() updates its summary line
+function createAutoFixStep(attempt, max, stderr) {
+  const el = document.createElement('details');
+  el.className = 'msg autofix';
+  el.open = true;
+  const summary = document.createElement('summary');
+  const firstError = stderr.trim().split('\n').filter(Boolean).pop() || 'error';
+  const heading = `Auto-fix ${attempt}/${max}: ${firstError}`;
+  summary.textContent = heading;
+  const err = document.createElement('pre');
+  err.className = 'nb-text nb-stderr';
+  err.textContent = stderr.trim();
+  const reply = document.createElement('div');
+  reply.className = 'autofix-reply';
+  reply.textContent = 'Thinking...';
+  el.appendChild(summary);
+  el.appendChild(err);
+  el.appendChild(reply);
+  chatLog.appendChild(el);
+  chatLog.scrollTop = chatLog.scrollHeight;
+  return {
+    el,
+    reply,
+    status(text) { summary.textContent = `${heading} — ${text}`; },
+  };
+}
+
+function runOutputSummary(run) {
+  return {
+    exitCode: run.exitCode,
+    stdout: [run.stdout, ...(run.displays || []).map((d) => d?.text || '')].filter(Boolean).join('\n'),
+    stderr: run.stderr,
+  };
+}
+
+function handleRunFinished(run) {
+  lastRunOutput = runOutputSummary(run);
+  recordSessionRun(run);
+  updateContextChips();
+  if (run.step) {
+    if (run.exitCode === 0) {
+      run.step.status('fixed');
+      run.step.el.open = false;
+      appendChat('system', `Auto-fix succeeded after ${run.attempt} attempt${run.attempt === 1 ? '' : 's'}.`);
+    } else {
+      run.step.status(run.interrupted ? 'interrupted' : `still failing (exit ${run.exitCode})`);
+      run.step.el.open = false;
+    }
+  }
+  // A run the user stopped is left alone; one that hit the time limit is worth a fix
+  if (run.exitCode !== 0 && run.stopReason !== 'user') autoFixFailedRun(run);
+}
+
+async function autoFixFailedRun(run) {
+  // Only code that came from the assistant is fixed automatically; manual runs are left alone
+  if (!autoFixToggle?.checked || (run.origin !== 'chat' && run.origin !== 'autofix')) return;
+  // The worker only runs Python; other languages fail before there is anything to fix
+  if (run.language !== 'python') return;
+  const max = autoFixMaxAttempts();
+  if (run.attempt >= max) {
+    appendChat('system', `Auto-fix stopped after ${max} attempt${max === 1 ? '' : 's'}; the code still fails.`);
+    return;
+  }
+  const attempt = run.attempt + 1;
+  const step = createAutoFixStep(attempt, max, run.stderr || `exit ${run.exitCode}`);
+  const prompt = buildAutoFixPrompt(run.code, run.stderr || '');
+  // Marked so a reloaded or exported chat shows the attempt as a step, not as something the user typed
+  chatHistory.push({ role: 'user', content: prompt, origin: 'autofix', attempt, maxAttempts: max });
+  const streamer = createReplyStreamer(step.reply);
+  const request = beginChatRequest();
+  const sessionId = activeSession?.id ?? null;
+  let reply;
+  let usage = null;
+  try {
+    refreshSystemPrompt();
+    reply = await callLLM(chatHistory, streamer.push, {
+      signal: request.signal,
+      onRetry: retryNotice(step.reply),
+      onUsage: (entry) => { usage = addUsage(usage, entry); },
+    });
+  } catch (e) {
+    if (leftChat(sessionId)) return;
+    chatHistory.pop();
+    if (e.name === 'AbortError') {
+      streamer.restoreEditor();
+      setMessageText(step.reply, 'Stopped.');
+      step.status('stopped');
+    } else {
+      setMessageText(step.reply, describeLLMError(e));
+      step.status(e instanceof LLMError ? LLM_ERROR_LABELS[e.category].toLowerCase() : 'LLM error');
+    }
+    return;
+  } finally {
+    streamer.stop();
+    endChatRequest(request);
+  }
+  if (leftChat(sessionId)) return;
+  renderAssistantMessage(step.reply, reply);
+  appendUsageNote(step.reply, usage);
+  chatHistory.push({ role: 'assistant', content: reply, origin: 'autofix', ...(usage && { usage }) });
+  scheduleSessionSave();
+  const { language, code } = extractCodeFromMarkdown(reply);
+  const lang = (language || 'python').toLowerCase();
+  if (!code || (lang !== 'python' && lang !== 'py')) {
+    step.status('no Python code in reply');
+    return;
+  }
+  loadSnippetIntoEditor(code, lang, null);
+  if (runtimeProviderSel.value !== 'pyodide') {
+    runtimeProviderSel.value = 'pyodide';
+    runtimeProviderSel.dispatchEvent(new Event('change'));
+  }
+  step.status('rerunning...');
+  runEditorCode({ origin: 'autofix', attempt, step });
+}
+
+// -----------------------
+// Agent mode: tool-calling loop over the runtimes
+// -----------------------
+const agentToggle = $('#agent-toggle');
+if (agentToggle) agentToggle.checked = storage.get('agent_enabled', false);
+agentToggle?.addEventListener('change', () => storage.set('agent_enabled', agentToggle.checked));
+let activeAgentRun = null;
+
+const AGENT_SYSTEM_PROMPT = 'You are a coding agent inside a browser playground. Use the tools to write code into the editor, run Python in the Pyodide worker, inspect the results and fix problems until the task works. Python runs with no network access; check list_packages before relying on a library. Use render_html for web pages. Keep going until the result is verified, then call finish with a one-paragraph summary.';
+
+// Tool results are sent back as text, clipped so a noisy run cannot blow the context
+function clipToolOutput(text, max = 8000) {
+  return text.length > max ? `${text.slice(0, max)}\n... [${text.length - max} more characters truncated]` : text;
+}
+
+const agentTools = [
+  {
+    name: 'run_python',
+    description: 'Run Python code in the Pyodide worker (state persists between runs). Returns exit code, stdout, stderr and display outputs.',
+    parameters: { type: 'object', properties: { code: { type: 'string', description: 'Python source to run' } }, required: ['code'] },
+    async run({ code }) {
+      if (!runnerReady) return 'Error: the Pyodide runtime is still starting; try again shortly.';
+      if (currentRun) return 'Error: another Python run is still in progress; try again when it finishes.';
+      const res = await runPythonInWorker(String(code || ''), { origin: 'agent' });
+      const displays = res.displays.map((d) => {
+        if (d?.kind === 'image') return `[${d.mime || 'image'} figure rendered]`;
+        if (d?.kind === 'html') return `[html] ${d.html}`;
+        return d?.text || '';
+      }).filter(Boolean);
+      return JSON.stringify({ exitCode: res.exitCode, stdout: res.stdout, stderr: res.stderr, displays });
+    },
+  },
+  {
+    name: 'read_editor',
+    description: 'Read the current code editor contents and language.',
+    parameters: { type: 'object', properties: {} },
+    async run() {
+      return JSON.stringify({ language: (codeLang.textContent || 'python').trim(), code: getEditorValue() });
+    },
+  },
+  {
+    name: 'write_editor',
+    description: 'Replace the code editor contents (what the user sees and runs with the Run button).',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        language: { type: 'string', description: 'python, html, javascript, ...' },
+      },
+      required: ['code'],
+    },
+    async run({ code, language }) {
+      loadSnippetIntoEditor(String(code || ''), language || 'python', null);
+      return 'Editor updated.';
+    },
+  },
+  {
+    name: 'render_html',
+    description: 'Render an HTML document or fragment in the HTML preview pane.',
+    parameters: { type: 'object', properties: { html: { type: 'string' } }, required: ['html'] },
+    async run({ html }) {
+      runtimeProviderSel.value = 'html-preview';
+      switchToView('html');
+      renderHtmlPreview(String(html || ''));
+      return 'Rendered in the HTML preview.';
+    },
+  },
+  {
+    name: 'list_packages',
+    description: 'List Python packages currently loaded in the Pyodide worker.',
+    parameters: { type: 'object', properties: {} },
+    async run() {
+      if (!runnerReady) return 'Error: the Pyodide runtime is still starting.';
+      const res = await requestWorker('packages');
+      // null when the worker was restarted before it answered
+      return JSON.stringify(res?.packages || []);
+    },
+  },
+  {
+    name: 'finish',
+    description: 'Declare the task complete.',
+    parameters: { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'] },
+    async run({ summary }) {
+      return String(summary || 'Done.');
+    },
+  },
+];
+
+// Chat-log container for one agent run: header with a Stop button and one collapsible step per tool call
+function createAgentTrace(onStop) {
+  const el = document.createElement('div');
+  el.className = 'msg agent';
+  const hdr = document.createElement('div');
+  hdr.className = 'agent-hdr';
+  const title = document.createElement('span');
+  title.textContent = 'Agent: working...';
+  const stopBtn = document.createElement('button');
+  stopBtn.type = 'button';
+  stopBtn.textContent = 'Stop';
+  stopBtn.addEventListener('click', onStop);
+  hdr.appendChild(title);
+  hdr.appendChild(stopBtn);
+  el.appendChild(hdr);
+  chatLog.appendChild(el);
+  chatLog.scrollTop = chatLog.scrollHeight;
+  return {
+    el,
+    note(text) {
+      const div = document.createElement('div');
+      div.className = 'agent-note';
+      renderAssistantMessage(div, text);
+      el.appendChild(div);
+      chatLog.scrollTop = chatLog.scrollHeight;
+    },
+    step(name, args) {
+      const d = document.createElement('details');
+      d.className = 'agent-step';
+      const summary = document.createElement('summary');
+      summary.textContent = `${name} …`;
+      const argsPre = document.createElement('pre');
+      argsPre.className = 'nb-text';
+      argsPre.textContent = Object.keys(args || {}).length ? JSON.stringify(args, null, 2) : '(no arguments)';
+      d.appendChild(summary);
+      d.appendChild(argsPre);
+      el.appendChild(d);
+      chatLog.scrollTop = chatLog.scrollHeight;
+      return (result, ok) => {
+        summary.textContent = `${name} ${ok ? '✓' : '✗'}`;
+        const out = document.createElement('pre');
+        out.className = `nb-text ${ok ? 'nb-stdout' : 'nb-stderr'}`;
+        out.textContent = result;
+        d.appendChild(out);
+      };
+    },
+    done(text) {
+      title.textContent = `Agent: ${text}`;
+      stopBtn.remove();
+    },
+  };
+}
+
+async function runAgent(prompt) {
+  const controller = new AbortController();
+  const sessionId = activeSession?.id ?? null;
+  const run = {
+    controller,
+    cancelled: false,
+    cancel() {
+      run.cancelled = true;
+      controller.abort();
+      // A run_python in progress would otherwise keep the loop waiting for it
+      if (currentRun?.origin === 'agent') stopRun(currentRun, 'user');
+    },
+  };
+  activeAgentRun = run;
+  const trace = createAgentTrace(() => run.cancel());
+  const byName = Object.fromEntries(agentTools.map((t) => [t.name, t]));
+  const messages = [
+    { role: 'system', content: `${AGENT_SYSTEM_PROMPT}\n\n${runtimeProfile('pyodide')}` },
+    ...chatHistory.filter((m) => m.role !== 'system' && typeof m.content === 'string'),
+    { role: 'user', content: prompt },
+  ];
+  const maxSteps = appConfig.agent?.maxSteps || 12;
+  let usage = null;
+  let summary = '';
+  let outcome = 'stopped';
+  try {
+    for (let stepNo = 0; stepNo < maxSteps && !run.cancelled; stepNo++) {
+      const turn = await callLLMWithTools(messages, agentTools, controller.signal);
+      usage = addUsage(usage, turn.usage);
+      messages.push(turn.message);
+      if (turn.text) trace.note(turn.text);
+      // A reply without tool calls means the model considers itself done
+      if (!turn.calls.length) {
+        summary = turn.text;
+        outcome = 'done';
+        break;
+      }
+      const results = [];
+      for (const call of turn.calls) {
+        if (run.cancelled) break;
+        const finishStep = trace.step(call.name, call.args);
+        const tool = byName[call.name];
+        let result;
+        let ok = true;
+        try {
+          if (!tool) throw new Error(`Unknown tool: ${call.name}`);
+          result = clipToolOutput(await tool.run(call.args || {}));
+        } catch (e) {
+          ok = false;
+          result = `Error: ${e.message}`;
+        }
+        finishStep(result, ok);
+        results.push(result);
+        if (call.name === 'finish') {
+          summary = result;
+          outcome = 'done';
+        }
+      }
+      if (run.cancelled || outcome === 'done') break;
+      messages.push(...turn.adapter.toolResultMessages(turn.calls, results));
+      if (stepNo === maxSteps - 1) outcome = `stopped after ${maxSteps} steps`;
+    }
+  } catch (e) {
+    if (e.name === 'AbortError' || run.cancelled) outcome = 'cancelled';
+    else {
+      outcome = 'failed';
+      trace.note(describeLLMError(e));
+    }
+  } finally {
+    if (activeAgentRun === run) activeAgentRun = null;
+  }
+  if (run.cancelled) outcome = 'cancelled';
+  trace.done(outcome);
+  if (leftChat(sessionId)) return;
+  chatHistory.push({ role: 'user', content: prompt });
+  chatHistory.push({ role: 'assistant', content: summary || `Agent ${outcome}.`, ...(usage && { usage }) });
+  appendUsageNote(trace.el, usage);
+  autoTitleActiveSession(prompt);
+  scheduleSessionSave();
+}
+
 function switchToView(view) {
   const consoleView = nbRoot;
   const grRoot = gradioRoot;
@@ -850,6 +4723,8 @@ try { ensureMonaco().catch(() => {}); } catch (_) {}
 if (runtimeProviderSel.value === 'gradio-lite') ensureGradioLiteLoaded();
 runtimeProviderSel.addEventListener('change', () => {
   storage.set('runtime_provider', runtimeProviderSel.value);
+  refreshSystemPrompt();
+  scheduleSessionSave();
   if (runtimeProviderSel.value === 'gradio-lite') {
     ensureGradioLiteLoaded();
     switchToView('gradio');
@@ -876,6 +4751,488 @@ function loadJupyterLite(code) {
   } catch {}
 }
 
+// -----------------------
+// Chat sessions (IndexedDB)
+// -----------------------
+// Each session: { id, title, createdAt, updatedAt, messages, editor: { code, language }, runtime, runs }.
+// messages excludes the system prompt, which always comes from chatHistory[0]; runs keeps the
+// latest worker runs (code, stdout, stderr and displays such as plots) for export.
+const sessionsToggle = $('#sessions-toggle');
+const sessionsPanel = $('#sessions-panel');
+const sessionsSearch = $('#sessions-search');
+const sessionsList = $('#sessions-list');
+const sessionNewBtn = $('#session-new');
+const sessionTitleEl = $('#session-title');
+const DEFAULT_SESSION_TITLE = 'New chat';
+let activeSession = null;
+let sessionSaveTimer = null;
+let sessionRestoring = false;
+const SESSION_MAX_RUNS = 20;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Falls back to an in-memory map when IndexedDB is unavailable (e.g. some private modes)
+const sessionDb = (() => {
+  let dbPromise = null;
+  const memory = new Map();
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!globalThis.indexedDB) { reject(new Error('IndexedDB not available')); return; }
+        const req = indexedDB.open('gradiolite', 1);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains('sessions')) {
+            db.createObjectStore('sessions', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }).catch((e) => {
+        console.warn('Chat sessions kept in memory only:', e);
+        return null;
+      });
+    }
+    return dbPromise;
+  };
+  const store = async (mode) => {
+    const db = await open();
+    return db ? db.transaction('sessions', mode).objectStore('sessions') : null;
+  };
+  return {
+    async list() {
+      const st = await store('readonly');
+      const all = st ? await idbRequest(st.getAll()) : Array.from(memory.values());
+      const sessions = await Promise.all(all.map(openSealedSession));
+      return sessions.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    },
+    async get(id) {
+      const st = await store('readonly');
+      return openSealedSession(st ? await idbRequest(st.get(id)) : memory.get(id));
+    },
+    async put(session) {
+      const record = await sealSession(session);
+      const st = await store('readwrite');
+      if (st) await idbRequest(st.put(record));
+      else memory.set(session.id, record);
+    },
+    async delete(id) {
+      const st = await store('readwrite');
+      if (st) await idbRequest(st.delete(id));
+      else memory.delete(id);
+    },
+  };
+})();
+
+function newSessionId() {
+  const cryptoObj = getCrypto();
+  if (cryptoObj?.randomUUID) return cryptoObj.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function snapshotActiveSession() {
+  if (!activeSession) return null;
+  return {
+    ...activeSession,
+    updatedAt: Date.now(),
+    messages: chatHistory.filter((m) => m.role !== 'system'),
+    // Keep the stored editor state until Monaco is up, so an early save cannot blank it
+    editor: monacoEditor
+      ? { code: getEditorValue(), language: (codeLang.textContent || 'python').trim() }
+      : activeSession.editor,
+    runtime: runtimeProviderSel.value,
+  };
+}
+
+async function saveActiveSession() {
+  if (sessionSaveTimer) { clearTimeout(sessionSaveTimer); sessionSaveTimer = null; }
+  const snap = snapshotActiveSession();
+  if (!snap) return;
+  activeSession = snap;
+  try {
+    await sessionDb.put(snap);
+  } catch (e) {
+    console.warn('Failed to save chat session:', e);
+  }
+  renderSessionList();
+}
+
+function scheduleSessionSave() {
+  // Called whenever history, editor or runtime change, so the context meter follows too
+  updateContextMeter();
+  if (!activeSession || sessionRestoring) return;
+  if (sessionSaveTimer) clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveActiveSession, 500);
+}
+
+function autoTitleActiveSession(prompt) {
+  if (!activeSession || activeSession.title !== DEFAULT_SESSION_TITLE) return;
+  const title = splitMessageContext(prompt).text.replace(/\s+/g, ' ').trim();
+  if (!title) return;
+  activeSession.title = title.length > 40 ? `${title.slice(0, 40)}…` : title;
+  if (sessionTitleEl) sessionTitleEl.textContent = activeSession.title;
+}
+
+function renderChatLog() {
+  chatLog.replaceChildren();
+  let fixStep = null;
+  chatHistory.forEach((m) => {
+    if (m.role === 'system') return;
+    // Auto-fix turns come back as the collapsed step they were shown as, with the reply inside
+    if (m.origin === 'autofix' && m.role === 'user') {
+      fixStep = createAutoFixStep(m.attempt || 1, m.maxAttempts || m.attempt || 1, autoFixPromptError(messageText(m)));
+      fixStep.el.open = false;
+      return;
+    }
+    if (m.origin === 'autofix' && fixStep) {
+      renderAssistantMessage(fixStep.reply, messageText(m));
+      if (m.usage) appendUsageNote(fixStep.reply, m.usage);
+      fixStep = null;
+      return;
+    }
+    appendChat(m.role, m.content);
+    const el = chatLog.lastElementChild;
+    if (m.usage) appendUsageNote(el, m.usage);
+    decorateMessage(el, m);
+  });
+}
+
+async function openSession(session) {
+  sessionRestoring = true;
+  try {
+    activeSession = session;
+    storage.set('active_chat_session', session.id);
+    if (sessionTitleEl) sessionTitleEl.textContent = session.title;
+    chatHistory.splice(1, chatHistory.length - 1, ...(session.messages || []));
+    renderChatLog();
+    updateContextMeter();
+    updateUsageDisplay();
+    const lastRun = session.runs?.[session.runs.length - 1];
+    lastRunOutput = lastRun ? runOutputSummary(lastRun) : null;
+    updateContextChips();
+    if (session.runtime && session.runtime !== runtimeProviderSel.value) {
+      runtimeProviderSel.value = session.runtime;
+      runtimeProviderSel.dispatchEvent(new Event('change'));
+    }
+    try { await ensureMonaco(); } catch {}
+    const lang = session.editor?.language || 'python';
+    codeLang.textContent = lang;
+    setEditorLanguage(lang);
+    setEditorValue(session.editor?.code || '');
+  } finally {
+    sessionRestoring = false;
+  }
+  renderSessionList();
+}
+
+async function createSession() {
+  if (workspaceLocked()) {
+    appendChat('system', 'Saved chats are encrypted; unlock the vault first.');
+    return;
+  }
+  if (chatBusy()) return;
+  if (activeSession) await saveActiveSession();
+  const now = Date.now();
+  const session = {
+    id: newSessionId(),
+    title: DEFAULT_SESSION_TITLE,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    editor: { code: '', language: 'python' },
+    runtime: runtimeProviderSel.value,
+  };
+  await sessionDb.put(session);
+  await openSession(session);
+}
+
+async function switchSession(id) {
+  if (activeSession?.id === id || chatBusy()) return;
+  if (activeSession) await saveActiveSession();
+  const session = await sessionDb.get(id);
+  if (session && !session.locked) await openSession(session);
+}
+
+async function renameSession(id) {
+  const session = activeSession?.id === id ? snapshotActiveSession() : await sessionDb.get(id);
+  if (!session) return;
+  const title = window.prompt('Rename chat', session.title);
+  if (!title || !title.trim()) return;
+  session.title = title.trim();
+  if (activeSession?.id === id) {
+    activeSession.title = session.title;
+    if (sessionTitleEl) sessionTitleEl.textContent = session.title;
+  }
+  await sessionDb.put(session);
+  renderSessionList();
+}
+
+async function deleteSession(id) {
+  // Deleting the open chat opens another one, which is a switch like any other
+  if (activeSession?.id === id && chatBusy()) return;
+  const session = await sessionDb.get(id);
+  if (!session || !window.confirm(`Delete chat "${session.title}"?`)) return;
+  await sessionDb.delete(id);
+  if (activeSession?.id !== id) {
+    renderSessionList();
+    return;
+  }
+  activeSession = null;
+  const [next] = await sessionDb.list();
+  if (next) await openSession(next);
+  else await createSession();
+}
+
+// Returns the first message containing query (for search result snippets), '' for a title match
+function sessionMatch(session, query) {
+  if (!query) return '';
+  if ((session.title || '').toLowerCase().includes(query)) return '';
+  const hit = (session.messages || []).find((m) => messageText(m).toLowerCase().includes(query));
+  if (!hit) return null;
+  const text = messageText(hit).replace(/\s+/g, ' ');
+  const at = text.toLowerCase().indexOf(query);
+  return `${at > 20 ? '…' : ''}${text.slice(Math.max(0, at - 20), at + query.length + 40)}…`;
+}
+
+async function renderSessionList() {
+  if (!sessionsList) return;
+  if (workspaceLocked()) {
+    sessionsList.replaceChildren();
+    return;
+  }
+  const query = (sessionsSearch?.value || '').trim().toLowerCase();
+  let sessions;
+  try {
+    sessions = await sessionDb.list();
+  } catch (e) {
+    console.warn('Failed to list chat sessions:', e);
+    return;
+  }
+  sessionsList.replaceChildren();
+  sessions.forEach((session) => {
+    const snippet = sessionMatch(session, query);
+    if (snippet === null) return;
+    const el = document.createElement('div');
+    el.className = 'session-item';
+    if (session.id === activeSession?.id) el.classList.add('active');
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = session.title || DEFAULT_SESSION_TITLE;
+    el.appendChild(title);
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const count = (session.messages || []).length;
+    meta.textContent = snippet || `${count} message${count === 1 ? '' : 's'} · ${new Date(session.updatedAt).toLocaleString()}`;
+    el.appendChild(meta);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', (e) => { e.stopPropagation(); renameSession(session.id); });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', (e) => { e.stopPropagation(); deleteSession(session.id); });
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+    el.appendChild(actions);
+    el.addEventListener('click', () => switchSession(session.id));
+    sessionsList.appendChild(el);
+  });
+}
+
+function recordSessionRun(run) {
+  if (!activeSession) return;
+  const runs = [...(activeSession.runs || []), {
+    at: Date.now(),
+    origin: run.origin,
+    code: run.code,
+    exitCode: run.exitCode,
+    stdout: run.stdout,
+    stderr: run.stderr,
+    displays: (run.displays || []).filter(Boolean),
+  }];
+  activeSession.runs = runs.slice(-SESSION_MAX_RUNS);
+  scheduleSessionSave();
+}
+
+// -----------------------
+// Export / import
+// -----------------------
+// JSON exports wrap the stored session ({ format, version, exportedAt, session }) and import as a
+// new session; Markdown exports are for reading and sharing and cannot be imported.
+const SESSION_EXPORT_FORMAT = 'gradiolite-chat';
+const SESSION_EXPORT_VERSION = 1;
+
+function downloadFile(name, type, text) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFileName(session, ext) {
+  const slug = (session.title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${slug || 'chat'}-${new Date(session.updatedAt || Date.now()).toISOString().slice(0, 10)}.${ext}`;
+}
+
+// A fence longer than any backtick run inside the text
+function markdownFence(text, language = '') {
+  const longest = Math.max(2, ...((text || '').match(/`+/g) || []).map((m) => m.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${(text || '').replace(/\n$/, '')}\n${fence}`;
+}
+
+function sessionToMarkdown(session) {
+  const out = [`# ${session.title || DEFAULT_SESSION_TITLE}`, ''];
+  out.push(`_Runtime: ${RUNTIME_LABELS[session.runtime] || session.runtime || 'n/a'} · exported ${new Date().toLocaleString()}_`, '');
+  (session.messages || []).forEach((m) => {
+    if (m.origin === 'autofix') {
+      if (m.role === 'user') out.push(`## Auto-fix ${m.attempt || 1}`, '', 'Error sent to the model:', '', markdownFence(autoFixPromptError(messageText(m))));
+      else out.push('## Assistant (auto-fix)', '', messageText(m));
+      out.push('');
+      return;
+    }
+    if (m.role === 'user') {
+      const { contexts, text, images } = splitMessageContext(m.content);
+      out.push('## User', '', text || '_(no text)_');
+      if (contexts.length) out.push('', `_Attached: ${contexts.join(', ')}_`);
+      images.forEach((p, i) => out.push('', `![image ${i + 1}](data:${p.mime};base64,${p.data})`));
+    } else {
+      out.push(`## ${m.role === 'assistant' ? 'Assistant' : m.role}`, '', messageText(m));
+      if (m.usage) out.push('', `_${formatUsage(m.usage)}_`);
+    }
+    if (m.versions?.length > 1) out.push('', `_Branch ${m.version + 1} of ${m.versions.length}_`);
+    out.push('');
+  });
+  if (session.editor?.code?.trim()) {
+    out.push(`## Editor (${session.editor.language || 'python'})`, '', markdownFence(session.editor.code, session.editor.language || ''), '');
+  }
+  (session.runs || []).forEach((run, i) => {
+    out.push(`## Run ${i + 1} · exit ${run.exitCode} · ${new Date(run.at).toLocaleString()}`, '', markdownFence(run.code, 'python'), '');
+    if (run.stdout) out.push('Output:', '', markdownFence(run.stdout), '');
+    if (run.stderr) out.push('Errors:', '', markdownFence(run.stderr), '');
+    (run.displays || []).forEach((d) => {
+      if (d.kind === 'image' && d.data) out.push(`![plot](data:${d.mime || 'image/png'};base64,${d.data})`, '');
+      else if (d.text) out.push(markdownFence(d.text), '');
+    });
+  });
+  return `${out.join('\n').trim()}\n`;
+}
+
+async function exportActiveSession(format) {
+  if (!activeSession) return;
+  await saveActiveSession();
+  const session = activeSession;
+  if (format === 'markdown') {
+    downloadFile(exportFileName(session, 'md'), 'text/markdown', sessionToMarkdown(session));
+    return;
+  }
+  const data = { format: SESSION_EXPORT_FORMAT, version: SESSION_EXPORT_VERSION, exportedAt: new Date().toISOString(), session };
+  downloadFile(exportFileName(session, 'json'), 'application/json', JSON.stringify(data, null, 2));
+}
+
+// -> session ready to store, or throws with a message for the user
+function sessionFromExport(data) {
+  if (data?.format !== SESSION_EXPORT_FORMAT || !data.session) throw new Error('Not a Gradiolite chat export.');
+  if (data.version > SESSION_EXPORT_VERSION) throw new Error(`Export version ${data.version} is newer than this app supports.`);
+  const src = data.session;
+  if (!Array.isArray(src.messages)) throw new Error('The export has no messages.');
+  const messages = src.messages.filter((m) => m && ['user', 'assistant'].includes(m.role) && (typeof m.content === 'string' || Array.isArray(m.content)));
+  const now = Date.now();
+  const text = (value) => (typeof value === 'string' ? value : '');
+  // Only the fields listed here are taken from the file; anything else in it (a contextSummary
+  // that would reach the system prompt, say) is left behind
+  const runs = (Array.isArray(src.runs) ? src.runs : []).filter((r) => r && typeof r === 'object').slice(-SESSION_MAX_RUNS).map((r) => ({
+    at: Number.isFinite(r.at) ? r.at : now,
+    origin: text(r.origin) || 'user',
+    code: text(r.code),
+    exitCode: Number.isFinite(r.exitCode) ? r.exitCode : 0,
+    stdout: text(r.stdout),
+    stderr: text(r.stderr),
+    displays: Array.isArray(r.displays) ? r.displays.filter((d) => d && typeof d === 'object') : [],
+  }));
+  return {
+    // Always a new session, so importing the same file twice cannot overwrite anything
+    id: newSessionId(),
+    title: text(src.title).trim() || DEFAULT_SESSION_TITLE,
+    createdAt: Number.isFinite(src.createdAt) ? src.createdAt : now,
+    updatedAt: now,
+    messages,
+    editor: { code: String(src.editor?.code ?? ''), language: text(src.editor?.language) || 'python' },
+    runtime: RUNTIME_LABELS[src.runtime] ? src.runtime : runtimeProviderSel.value,
+    runs,
+  };
+}
+
+async function importSessionFile(file) {
+  if (workspaceLocked()) {
+    appendChat('system', 'Saved chats are encrypted; unlock the vault before importing.');
+    return;
+  }
+  if (chatBusy()) return;
+  let session;
+  try {
+    session = sessionFromExport(JSON.parse(await file.text()));
+  } catch (e) {
+    appendChat('system', `Could not import ${file.name}: ${e instanceof SyntaxError ? 'the file is not valid JSON.' : e.message}`);
+    return;
+  }
+  if (activeSession) await saveActiveSession();
+  await sessionDb.put(session);
+  await openSession(session);
+  appendChat('system', `Imported "${session.title}" (${session.messages.length} messages).`);
+}
+
+async function initChatSessions() {
+  if (workspaceLocked()) {
+    closeWorkspace();
+    return;
+  }
+  try {
+    const id = storage.get('active_chat_session', null);
+    const session = id ? await sessionDb.get(id) : null;
+    if (session) await openSession(session);
+    else {
+      const [latest] = await sessionDb.list();
+      if (latest) await openSession(latest);
+      else await createSession();
+    }
+  } catch (e) {
+    console.warn('Failed to restore chat sessions:', e);
+  }
+}
+
+sessionsToggle?.addEventListener('click', () => {
+  if (!sessionsPanel) return;
+  sessionsPanel.hidden = !sessionsPanel.hidden;
+  sessionsToggle.classList.toggle('active', !sessionsPanel.hidden);
+  if (!sessionsPanel.hidden) renderSessionList();
+});
+sessionsSearch?.addEventListener('input', () => renderSessionList());
+sessionNewBtn?.addEventListener('click', () => createSession());
+$('#session-export-md')?.addEventListener('click', () => exportActiveSession('markdown'));
+$('#session-export-json')?.addEventListener('click', () => exportActiveSession('json'));
+const sessionImportInput = $('#session-import-file');
+$('#session-import')?.addEventListener('click', () => sessionImportInput?.click());
+sessionImportInput?.addEventListener('change', () => {
+  const [file] = sessionImportInput.files || [];
+  sessionImportInput.value = '';
+  if (file) importSessionFile(file);
+});
+window.addEventListener('pagehide', () => { if (sessionSaveTimer) saveActiveSession(); });
+initChatSessions();
+
 // -----------------------
 // Examples: data + render
 // -----------------------
@@ -907,8 +5264,9 @@ const defaultExamples = {
     }
   ],
   prompts: [
-    { id: 'prompt-fib', title: 'Fibonacci function', text: 'Write a Python function that returns the first N Fibonacci numbers and print the list for N=20.' },
-    { id: 'prompt-chart', title: 'Bar chart', text: 'Generate Python code to display a bar chart for fruit sales using matplotlib.' },
+    { id: 'prompt-fib', title: 'Fibonacci function', text: 'Write a Python function that returns the first N Fibonacci numbers and print the list for N={{n:number}}.', fields: { n: { label: 'N', default: 20, min: 1, max: 10000, integer: true } } },
+    { id: 'prompt-chart', title: 'Bar chart', text: 'Generate Python code to display a bar chart for {{subject}} using {{library:choice[matplotlib,plotly]}}.', fields: { subject: { default: 'fruit sales' } } },
+    { id: 'prompt-explain-file', title: 'Explain a file', desc: 'Attach a local file and ask about it.', text: 'Explain what {{file}} does, then suggest improvements. {{focus?}}', fields: { focus: { label: 'Focus (optional)' } } },
     { id: 'prompt-gradio', title: 'Gradio sentiment', text: 'Create a minimal Gradio app with a textbox and a label that returns whether the text is positive or negative (mock logic is fine).' },
     { id: 'prompt-gradio-transformer', title: 'Gradio sentiment with transformers', text: 'Create a minimal Gradio app with a textbox and a label that returns whether the text is positive or negative. Using transformer-js-py as pipeline. from transformers_js_py import pipeline. pipe = await pipeline ' },
     { id: 'prompt-html', title: 'Html single page application', text: 'Make me a Ô ăn quan game. It should be futuristic, neon, cyberpunk, but Vietnamese style. Make sure the typography is suitably cool. Think through the rules of the game' }
@@ -923,6 +5281,175 @@ function getExamples() {
   return data;
 }
 
+// -----------------------
+// Prompt templates
+// -----------------------
+// Prompt examples may hold placeholders: {{name}} (text), {{name:number}}, {{name:choice[a,b]}}
+// and {{name:file}}. A bare type name ({{file}}, {{number}}) is a field of that type, and
+// {{name?}} is optional. An example's fields object ({ name: { label, default, min, max,
+// integer, options, required } }) refines them, also in assets/examples.json.
+const TEMPLATE_FIELD_TYPES = ['text', 'number', 'choice', 'file'];
+const TEMPLATE_PLACEHOLDER_RE = /\{\{\s*([\w-]+)(\?)?\s*(?::\s*(\w+)(?:\[([^\]]*)\])?)?\s*\}\}/g;
+const templateDialog = $('#template-dialog');
+const templateForm = $('#template-form');
+const templateFieldsEl = $('#template-fields');
+const templateError = $('#template-error');
+
+// -> field specs in order of first appearance; [] when the text is not a template
+function parsePromptTemplate(text, fields = {}) {
+  const specs = new Map();
+  for (const m of String(text || '').matchAll(TEMPLATE_PLACEHOLDER_RE)) {
+    const [, name, optional, type, options] = m;
+    if (specs.has(name)) continue;
+    const extra = fields?.[name] || {};
+    const inlineType = type || (TEMPLATE_FIELD_TYPES.includes(name) ? name : 'text');
+    specs.set(name, {
+      ...extra,
+      name,
+      type: TEMPLATE_FIELD_TYPES.includes(extra.type || inlineType) ? (extra.type || inlineType) : 'text',
+      label: extra.label || name,
+      options: extra.options || (options ? options.split(',').map((o) => o.trim()).filter(Boolean) : []),
+      required: extra.required ?? !optional,
+    });
+  }
+  return [...specs.values()];
+}
+
+// raw is a string, or { name, text } for files -> the value to substitute; throws on invalid input
+function validateTemplateValue(field, raw) {
+  const empty = field.type === 'file' ? !raw : !String(raw ?? '').trim();
+  if (empty) {
+    if (field.required) throw new Error(`${field.label} is required.`);
+    return field.type === 'file' ? null : '';
+  }
+  if (field.type === 'number') {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) throw new Error(`${field.label} must be a number.`);
+    if (field.integer && !Number.isInteger(n)) throw new Error(`${field.label} must be a whole number.`);
+    if (field.min != null && n < field.min) throw new Error(`${field.label} must be at least ${field.min}.`);
+    if (field.max != null && n > field.max) throw new Error(`${field.label} must be at most ${field.max}.`);
+    return String(n);
+  }
+  if (field.type === 'choice' && field.options.length && !field.options.includes(raw)) {
+    throw new Error(`${field.label} must be one of: ${field.options.join(', ')}.`);
+  }
+  return field.type === 'file' ? raw : String(raw).trim();
+}
+
+// Files go in as context blocks (shown as tags in the chat) and their name replaces the placeholder
+function fillPromptTemplate(text, values) {
+  const blocks = [];
+  const filled = String(text).replace(TEMPLATE_PLACEHOLDER_RE, (_, name) => {
+    const value = values[name];
+    if (value && typeof value === 'object') {
+      let body = value.text;
+      if (body.length > CONTEXT_MAX_CHARS) body = `${body.slice(0, CONTEXT_MAX_CHARS)}\n... [truncated]`;
+      if (!blocks.some((b) => b.name === value.name)) blocks.push({ name: value.name, body });
+      return `the attached file ${value.name}`;
+    }
+    return value ?? '';
+  }).replace(/[ \t]+$/gm, '').trim();
+  if (!blocks.length) return filled;
+  return `${blocks.map((b) => contextBlock(b.name, b.body)).join('\n\n')}\n\n${filled}`;
+}
+
+function templateInput(field) {
+  let input;
+  if (field.type === 'choice') {
+    input = document.createElement('select');
+    field.options.forEach((o) => {
+      const opt = document.createElement('option');
+      opt.value = o;
+      opt.textContent = o;
+      input.appendChild(opt);
+    });
+  } else {
+    input = document.createElement('input');
+    input.type = field.type === 'number' ? 'number' : field.type === 'file' ? 'file' : 'text';
+    if (field.type === 'number') {
+      if (field.min != null) input.min = field.min;
+      if (field.max != null) input.max = field.max;
+      input.step = field.integer ? '1' : 'any';
+    }
+  }
+  if (field.default != null && field.type !== 'file') input.value = field.default;
+  input.dataset.field = field.name;
+  return input;
+}
+
+// Asks for the template's values -> the filled prompt, or null when cancelled
+function openTemplateForm(example, fields, actionLabel) {
+  if (!templateDialog || templateDialog.open) return Promise.resolve(null);
+  $('#template-title').textContent = example.title || 'Prompt template';
+  $('#template-submit').textContent = actionLabel;
+  templateError.hidden = true;
+  templateFieldsEl.replaceChildren(...fields.map((field) => {
+    const label = document.createElement('label');
+    label.append(`${field.label}${field.required ? '' : ' (optional)'}`, templateInput(field));
+    return label;
+  }));
+  return new Promise((resolve) => {
+    let result = null;
+    const onSubmit = async (e) => {
+      e.preventDefault();
+      const values = {};
+      for (const field of fields) {
+        const input = templateFieldsEl.querySelector(`[data-field="${CSS.escape(field.name)}"]`);
+        const file = field.type === 'file' ? input.files?.[0] : null;
+        try {
+          values[field.name] = validateTemplateValue(field, file ? { name: file.name, text: await file.text() } : input.value);
+          input.classList.remove('invalid');
+        } catch (err) {
+          input.classList.add('invalid');
+          input.focus();
+          templateError.textContent = err.message;
+          templateError.hidden = false;
+          return;
+        }
+      }
+      result = fillPromptTemplate(example.text, values);
+      templateDialog.close();
+    };
+    templateForm.addEventListener('submit', onSubmit);
+    templateDialog.addEventListener('close', () => {
+      templateForm.removeEventListener('submit', onSubmit);
+      resolve(result);
+    }, { once: true });
+    templateDialog.showModal();
+    templateFieldsEl.querySelector('input, select')?.focus();
+  });
+}
+
+// The example's prompt, through the template form when it has placeholders; null when cancelled
+async function resolvePromptExample(it, actionLabel) {
+  const fields = parsePromptTemplate(it.text, it.fields);
+  if (!fields.length) return it.text || '';
+  return openTemplateForm(it, fields, actionLabel);
+}
+
+$('#template-cancel')?.addEventListener('click', () => templateDialog?.close());
+
+function useCodeExample(it, run) {
+  // Examples default to JupyterLite unless they specify or clearly target another runtime
+  const runtime = it.runtime || guessRuntimeForCode(it.code, it.language, it.tags || []) || 'jupyterlite';
+  loadSnippetIntoEditor(it.code, it.language, runtime);
+  if (run) runEditorCode({ origin: 'user' });
+}
+
+async function sendPromptExample(it) {
+  const text = await resolvePromptExample(it, 'Send');
+  if (text === null) return;
+  if (chatInput) chatInput.value = text;
+  // Default prompts to JupyterLite unless runtime specified
+  const rt = it.runtime || 'jupyterlite';
+  if (runtimeProviderSel) runtimeProviderSel.value = rt;
+  if (chatSend) {
+    chatSend.dataset.pendingRuntime = rt;
+    chatSend.dataset.pendingAutorun = '1';
+    chatSend.click();
+  }
+}
+
 function renderExamples() {
   if (!examplesList) return;
   const query = (examplesSearch?.value || '').toLowerCase();
@@ -961,55 +5488,24 @@ function renderExamples() {
     const actions = document.createElement('div');
     actions.className = 'actions';
     if (examplesActiveTab === 'codes') {
-      const selectRuntime = (rt) => {
-        if (!rt) return;
-        runtimeProviderSel.value = rt;
-        runtimeProviderSel.dispatchEvent(new Event('change'));
-      };
-      const guessRuntimeForCode = (item) => {
-        if (item.runtime) return item.runtime;
-        const blob = `${(item.code||'')} ${(item.tags||[]).join(' ')}`.toLowerCase();
-        if (looksLikeHtml(item.code || '')) return 'html-preview';
-        if (blob.includes('gradio') || blob.includes('<gradio-lite')) return 'gradio-lite';
-        return 'jupyterlite';
-      };
       const insertBtn = document.createElement('button');
       insertBtn.textContent = 'Insert';
-      insertBtn.addEventListener('click', () => {
-        if (it.language) setEditorLanguage(it.language);
-        if (codeLang) codeLang.textContent = (it.language || 'python');
-        setEditorValue(it.code || '');
-        selectRuntime(guessRuntimeForCode(it));
-      });
+      insertBtn.addEventListener('click', () => useCodeExample(it, false));
       const runBtn2 = document.createElement('button');
       runBtn2.textContent = 'Run';
-      runBtn2.addEventListener('click', () => {
-        if (it.language) setEditorLanguage(it.language);
-        if (codeLang) codeLang.textContent = (it.language || 'python');
-        setEditorValue(it.code || '');
-        selectRuntime(guessRuntimeForCode(it));
-        runBtn?.click();
-      });
+      runBtn2.addEventListener('click', () => useCodeExample(it, true));
       actions.appendChild(insertBtn);
       actions.appendChild(runBtn2);
     } else {
       const sendBtn = document.createElement('button');
       sendBtn.textContent = 'Send';
-      sendBtn.addEventListener('click', () => {
-        if (chatInput) chatInput.value = it.text || '';
-        // Default prompts to JupyterLite unless runtime specified
-        const rt = it.runtime || 'jupyterlite';
-        if (runtimeProviderSel) runtimeProviderSel.value = rt;
-        if (chatSend) {
-          chatSend.dataset.pendingRuntime = rt;
-          chatSend.dataset.pendingAutorun = '1';
-          chatSend.click();
-        }
-      });
+      sendBtn.addEventListener('click', () => sendPromptExample(it));
       const insertBtn = document.createElement('button');
       insertBtn.textContent = 'Insert';
-      insertBtn.addEventListener('click', () => {
-        if (chatInput) chatInput.value = it.text || '';
+      insertBtn.addEventListener('click', async () => {
+        const text = await resolvePromptExample(it, 'Insert');
+        if (text === null) return;
+        if (chatInput) chatInput.value = text;
         const rt = it.runtime || 'jupyterlite';
         if (runtimeProviderSel) runtimeProviderSel.value = rt;
         chatInput?.focus();
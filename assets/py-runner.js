@@ -1,11 +1,14 @@
 // WebWorker: isolated Python runtime using Pyodide to execute code.
-// Receives { type: 'run', language, code }
-// Sends back messages: 'ready', 'stdout', 'stderr', 'display', 'result', 'status'
+// Receives { type: 'run', language, code, requirements? }, { type: 'packages', id } and
+// { type: 'interrupt-buffer', buffer } (a SharedArrayBuffer, only when the page is cross-origin isolated)
+// Sends back messages: 'ready', 'stdout', 'stderr', 'display', 'result', 'status', 'packages'
 
 self.postStatus = (msg) => postMessage({ type: 'status', data: msg });
 
 // Load Pyodide in worker
 let pyodide;
+// Byte the page sets to 2 (SIGINT) to raise KeyboardInterrupt in the running code
+let interruptBuffer = null;
 const DEFAULT_CONFIG = {
   cdn: { pyodideBase: 'https://cdn.jsdelivr.net/pyodide/v0.26.1/full/' }
 };
@@ -40,6 +43,7 @@ async function loadWorkerConfig() {
     importScripts(`${base}/pyodide.js`);
     self.postStatus('pyodide: downloading');
     pyodide = await loadPyodide({ indexURL: `${base}/` });
+    if (interruptBuffer) pyodide.setInterruptBuffer(interruptBuffer);
     self.postStatus('pyodide: loading packages');
     try {
       await pyodide.loadPackage(PRELOAD_PKGS);
@@ -54,6 +58,30 @@ async function loadWorkerConfig() {
   }
 })();
 
+// Stop pressed on the page and not yet raised in Python
+function interruptPending() {
+  return !!(interruptBuffer && interruptBuffer[0]);
+}
+
+// pip-style requirements via micropip; -> { error, interrupted } when the install did not complete,
+// or null once everything is installed
+async function installRequirements(requirements) {
+  try {
+    postStatus('pyodide: installing ' + requirements.join(', '));
+    await pyodide.loadPackage('micropip');
+    const micropip = pyodide.pyimport('micropip');
+    try {
+      await micropip.install(requirements);
+    } finally {
+      micropip.destroy();
+    }
+    return null;
+  } catch (e) {
+    if (e && e.type === 'KeyboardInterrupt') return { interrupted: true };
+    return { error: 'Could not install requirements (' + requirements.join(', ') + '): ' + (e && e.message ? e.message : String(e)) };
+  }
+}
+
 async function runPython(code) {
   // Redirect stdout/stderr
   const py = pyodide.pyimport;
@@ -114,10 +142,12 @@ except Exception:
     pass
 `);
   let exitCode = 0;
+  let interrupted = false;
   try {
     await pyodide.runPythonAsync(code);
   } catch (e) {
     exitCode = 1;
+    interrupted = e && e.type === 'KeyboardInterrupt';
     // Also push the JS exception message to stderr for visibility
     postMessage({ type: 'stderr', data: (e && e.message ? e.message : String(e)) + '\n' });
   } finally {
@@ -144,7 +174,9 @@ except Exception:
     pass
 `);
   }
-  postMessage({ type: 'result', data: { exitCode } });
+  // A Stop that lands after the code finished must not interrupt the next run
+  if (interruptBuffer) interruptBuffer[0] = 0;
+  postMessage({ type: 'result', data: { exitCode, interrupted } });
 }
 
 self.onmessage = async (ev) => {
@@ -156,9 +188,28 @@ self.onmessage = async (ev) => {
       postMessage({ type: 'result', data: { exitCode: 2 } });
       return;
     }
+    // Cleared before the install, so a Stop pressed while packages download still counts
+    if (interruptBuffer) interruptBuffer[0] = 0;
+    if (msg.requirements && msg.requirements.length) {
+      const failed = await installRequirements(msg.requirements);
+      if (failed && failed.error) postMessage({ type: 'stderr', data: failed.error + '\n' });
+      if (failed || interruptPending()) {
+        const interrupted = failed ? !!failed.interrupted : true;
+        if (interruptBuffer) interruptBuffer[0] = 0;
+        postMessage({ type: 'result', data: { exitCode: 1, interrupted } });
+        postStatus('pyodide: ready');
+        return;
+      }
+    }
     postStatus('pyodide: running');
     await runPython(msg.code);
     postStatus('pyodide: ready');
+  } else if (msg.type === 'interrupt-buffer') {
+    interruptBuffer = new Uint8Array(msg.buffer);
+    if (pyodide) pyodide.setInterruptBuffer(interruptBuffer);
+  } else if (msg.type === 'packages') {
+    const loaded = pyodide ? Object.keys(pyodide.loadedPackages || {}).sort() : [];
+    postMessage({ type: 'packages', data: { id: msg.id, packages: loaded } });
   }
 };
 
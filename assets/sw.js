@@ -1,5 +1,5 @@
 // Bump VERSION on any deploy-impacting change to refresh caches
-const VERSION = 'gradiolite-sw-v2';
+const VERSION = 'gradiolite-sw-v3';
 const PRECACHE = VERSION + '-precache';
 const RUNTIME = VERSION + '-runtime';
 
@@ -15,6 +15,7 @@ const PRECACHE_URLS = [
   `${assetsBase}/style.css`,
   `${assetsBase}/app.js`,
   `${assetsBase}/py-runner.js`,
+  `${assetsBase}/toy_llm.py`,
   `${assetsBase}/config.json`,
   // Useful for JupyterLite REPL boot
   `${assetsBase}/_output/repl/index.html`
@@ -0,0 +1,238 @@
+# Offline "Toy LLM" for the chat panel. Loaded into the main-thread Pyodide by app.js.
+# Deterministic: matches the prompt against the examples catalogue and a few keyword
+# intents, and answers with a single fenced snippet like the real providers do.
+
+import html
+import json
+import re
+
+FENCE = chr(96) * 3
+
+_STOPWORDS = {
+    'the', 'and', 'for', 'with', 'that', 'this', 'make', 'create', 'write', 'generate',
+    'build', 'show', 'display', 'code', 'python', 'using', 'use', 'please', 'simple',
+    'minimal', 'some', 'from', 'into', 'via', 'can', 'you', 'want', 'need', 'give',
+}
+
+
+def _tokens(text):
+    words = re.findall(r'[a-z0-9]+', (text or '').lower())
+    return {w for w in words if len(w) > 2 and w not in _STOPWORDS}
+
+
+def _fence(language, code):
+    return f'{FENCE}{language}\n{code.strip()}\n{FENCE}'
+
+
+def _annotate(language, text, code):
+    # Leading note in the snippet's own comment syntax (after the doctype, for HTML)
+    if language != 'html':
+        return f'# {text}\n{code}'
+    note = f'<!-- {text} -->'
+    if code.lstrip().lower().startswith('<!doctype'):
+        first, _, rest = code.lstrip().partition('\n')
+        return f'{first}\n{note}\n{rest}'
+    return f'{note}\n{code}'
+
+
+def _subject(prompt, default):
+    # Reuse a quoted phrase from the prompt as a title when there is one
+    m = re.search(r'["“\']([^"”\']{3,40})["”\']', prompt or '')
+    return m.group(1) if m else default
+
+
+# -----------------------
+# Intent templates
+# -----------------------
+
+def _plot(prompt):
+    p = prompt.lower()
+    title = _subject(prompt, 'Toy Plot')
+    if 'bar' in p:
+        body = (
+            "labels = ['apples', 'bananas', 'cherries', 'dates']\n"
+            "values = [12, 7, 15, 5]\n"
+            "plt.bar(labels, values, color='tab:blue')\n"
+            "plt.ylabel('Count')"
+        )
+    elif 'scatter' in p:
+        body = (
+            "rng = np.random.default_rng(0)\n"
+            "x = rng.normal(size=100)\n"
+            "y = 2 * x + rng.normal(scale=0.5, size=100)\n"
+            "plt.scatter(x, y, alpha=0.7)"
+        )
+    elif 'hist' in p:
+        body = (
+            "rng = np.random.default_rng(0)\n"
+            "data = rng.normal(size=1000)\n"
+            "plt.hist(data, bins=30, color='tab:green')"
+        )
+    else:
+        body = (
+            "x = np.linspace(0, 2 * np.pi, 200)\n"
+            "plt.plot(x, np.sin(x), label='sin')\n"
+            "plt.plot(x, np.cos(x), label='cos')\n"
+            "plt.legend()"
+        )
+    code = (
+        "import numpy as np\n"
+        "import matplotlib.pyplot as plt\n\n"
+        f"{body}\n"
+        f"plt.title({title!r})\n"
+        "plt.show()"
+    )
+    return 'python', code
+
+
+def _dataframe(prompt):
+    code = (
+        "import pandas as pd\n\n"
+        "df = pd.DataFrame({\n"
+        "    'name': ['Ada', 'Grace', 'Linus', 'Guido'],\n"
+        "    'year': [1815, 1906, 1969, 1956],\n"
+        "    'score': [91, 88, 75, 83],\n"
+        "})\n"
+        "print(df)\n"
+        "print()\n"
+        "print(df.describe())"
+    )
+    return 'python', code
+
+
+def _gradio(prompt):
+    p = prompt.lower()
+    if 'sentiment' in p or 'positive' in p or 'negative' in p:
+        code = (
+            "import gradio as gr\n\n"
+            "POSITIVE = {'good', 'great', 'love', 'happy', 'excellent', 'nice'}\n"
+            "NEGATIVE = {'bad', 'awful', 'hate', 'sad', 'terrible', 'poor'}\n\n"
+            "def classify(text):\n"
+            "    words = set(text.lower().split())\n"
+            "    score = len(words & POSITIVE) - len(words & NEGATIVE)\n"
+            "    return 'positive' if score >= 0 else 'negative'\n\n"
+            "demo = gr.Interface(fn=classify, inputs=gr.Textbox(label='Text'), outputs=gr.Label(label='Sentiment'))\n"
+            "demo.launch()"
+        )
+    else:
+        code = (
+            "import gradio as gr\n\n"
+            "def greet(name):\n"
+            "    return f'Hello, {name}!'\n\n"
+            "demo = gr.Interface(fn=greet, inputs=gr.Textbox(label='Name'), outputs=gr.Textbox(label='Greeting'))\n"
+            "demo.launch()"
+        )
+    return 'python', code
+
+
+def _web(prompt):
+    title = html.escape(_subject(prompt, 'Toy Page'))
+    code = (
+        "<!DOCTYPE html>\n"
+        "<html lang=\"en\">\n"
+        "<head>\n"
+        "  <meta charset=\"utf-8\" />\n"
+        f"  <title>{title}</title>\n"
+        "  <style>\n"
+        "    body { margin: 0; font-family: system-ui, sans-serif; background: #0f1117; color: #e6e6e6; }\n"
+        "    header { padding: 48px 24px; text-align: center; background: linear-gradient(135deg, #4cc9f0, #7209b7); }\n"
+        "    main { max-width: 720px; margin: 32px auto; padding: 0 16px; }\n"
+        "    button { padding: 8px 16px; border: 0; border-radius: 6px; background: #4cc9f0; cursor: pointer; }\n"
+        "  </style>\n"
+        "</head>\n"
+        "<body>\n"
+        f"  <header><h1>{title}</h1></header>\n"
+        "  <main>\n"
+        "    <p>Generated offline by the Toy LLM.</p>\n"
+        "    <button id=\"count\">Clicked 0 times</button>\n"
+        "  </main>\n"
+        "  <script>\n"
+        "    let n = 0;\n"
+        "    const btn = document.getElementById('count');\n"
+        "    btn.addEventListener('click', () => { n += 1; btn.textContent = `Clicked ${n} times`; });\n"
+        "  </script>\n"
+        "</body>\n"
+        "</html>"
+    )
+    return 'html', code
+
+
+def _fibonacci(prompt):
+    m = re.search(r'\bn\s*=\s*(\d+)', prompt, re.I) or re.search(r'\b(\d+)\b', prompt)
+    n = int(m.group(1)) if m else 10
+    code = (
+        "def fibonacci(n):\n"
+        "    seq = []\n"
+        "    a, b = 0, 1\n"
+        "    for _ in range(n):\n"
+        "        seq.append(a)\n"
+        "        a, b = b, a + b\n"
+        "    return seq\n\n"
+        f"print(fibonacci({n}))"
+    )
+    return 'python', code
+
+
+# Checked in order; the first matching pattern wins.
+INTENTS = [
+    ('web', re.compile(r'\b(website|web\s*site|web\s*page|webpage|landing\s*page|homepage|html)\b', re.I), _web),
+    ('gradio', re.compile(r'\b(gradio|web\s*app|user\s*interface|ui)\b', re.I), _gradio),
+    ('plot', re.compile(r'\b(plot|chart|graph|histogram|scatter|visuali[sz]e|matplotlib)\b', re.I), _plot),
+    ('dataframe', re.compile(r'\b(data\s*frame|dataframe|pandas|table|csv)\b', re.I), _dataframe),
+    ('fibonacci', re.compile(r'\bfib(onacci)?\b', re.I), _fibonacci),
+]
+
+# Fallback intent per selected runtime when nothing matched
+RUNTIME_DEFAULTS = {'gradio-lite': _gradio, 'html-preview': _web}
+
+
+def _match_example(prompt, examples):
+    words = _tokens(prompt)
+    if not words:
+        return None
+    best, best_score = None, 0
+    for ex in examples.get('codes', []):
+        if not ex.get('code'):
+            continue
+        hay = _tokens(' '.join([ex.get('id', '').replace('-', ' '), ex.get('title', ''), ex.get('desc', ''), ' '.join(ex.get('tags', []))]))
+        score = len(words & hay)
+        if score > best_score:
+            best, best_score = ex, score
+    # Require more than a single shared word so generic prompts fall through to intents
+    return best if best_score >= 2 else None
+
+
+def toy_llm_response(prompt, examples_json='{}', runtime='pyodide'):
+    prompt = (prompt or '').strip()
+    if not prompt:
+        return _fence('python', "print('Ask me for some code!')")
+    try:
+        examples = json.loads(examples_json or '{}')
+    except ValueError:
+        examples = {}
+
+    ex = _match_example(prompt, examples)
+    if ex:
+        language = (ex.get('language') or 'python').lower()
+        note = f"Toy LLM: matched example \"{ex.get('title', ex.get('id', ''))}\""
+        return _fence(language, _annotate(language, note, ex['code']))
+
+    for name, pattern, build in INTENTS:
+        if pattern.search(prompt):
+            language, code = build(prompt)
+            return _fence(language, _annotate(language, f'Toy LLM: {name} template', code))
+
+    build = RUNTIME_DEFAULTS.get(runtime)
+    if build:
+        language, code = build(prompt)
+        return _fence(language, _annotate(language, 'Toy LLM: runtime template', code))
+
+    request = prompt.replace('\\', '\\\\').replace('"""', '\\"\\"\\"')
+    code = (
+        "# Toy LLM: no rule matched; here is a starting point.\n"
+        f'request = """{request}"""\n'
+        "words = request.split()\n"
+        "print(f'Your request has {len(words)} words.')\n"
+        "print('Try asking for a plot, a dataframe, a Gradio app or a web page.')"
+    )
+    return _fence('python', code)
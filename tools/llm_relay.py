@@ -0,0 +1,225 @@
+"""Reference relay that keeps the LLM API key on the server.
+
+The browser never sees the upstream key. It trades a team access code for a
+short-lived token at ``POST /token`` and sends that token as its bearer key;
+POSTs to the allowed API paths (``--allow-path``, by default the Chat
+Completions and Messages endpoints) are forwarded verbatim (path and body) to
+``--upstream`` with the real key attached, and the response, including
+server-sent event streams, is copied back chunk by chunk as it arrives.
+
+    RELAY_API_KEY=sk-... RELAY_ACCESS_CODE=team-secret \\
+        python3 tools/llm_relay.py --upstream https://api.openai.com --port 8787
+
+Tokens are HMAC-signed with a key generated at start-up, so restarting the
+relay (or changing the access code) invalidates every token handed out.
+Without an access code any caller may get a token; only do that on a trusted
+network. To try it locally, put it in front of the mock server:
+
+    python3 tools/mock_llm_server.py --port 8001 --expect-key dummy
+    RELAY_API_KEY=dummy RELAY_ACCESS_CODE=team python3 tools/llm_relay.py --upstream http://127.0.0.1:8001
+
+and enable the ``relay`` provider in assets/config.json.
+"""
+
+import argparse
+import base64
+import hashlib
+import hmac
+import http.client
+import json
+import os
+import secrets
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import urlsplit
+
+# Request headers passed on to the upstream API; everything else (cookies, the
+# browser's token, any key it sent) is dropped
+FORWARD_HEADERS = ('content-type', 'accept', 'anthropic-version', 'anthropic-beta', 'openai-beta')
+# Response headers passed back to the browser
+RETURN_HEADERS = ('content-type', 'cache-control', 'retry-after', 'retry-after-ms')
+# API paths the relay forwards (OpenAI Chat Completions, Anthropic Messages); anything else is
+# refused so a token cannot reach other endpoints with the real key
+DEFAULT_ALLOWED_PATHS = ('/v1/chat/completions', '/v1/messages')
+MAX_BODY_BYTES = 20 * 1024 * 1024
+
+
+def b64url(data):
+    return base64.urlsafe_b64encode(data).rstrip(b'=').decode('ascii')
+
+
+def b64url_decode(text):
+    return base64.urlsafe_b64decode(text + '=' * (-len(text) % 4))
+
+
+def issue_token(secret, ttl):
+    """-> (token, expires_in): base64url({"exp": ...}) + '.' + HMAC-SHA256 of that part."""
+    payload = b64url(json.dumps({'exp': int(time.time()) + ttl, 'nonce': secrets.token_hex(8)}).encode('utf-8'))
+    signature = b64url(hmac.new(secret, payload.encode('ascii'), hashlib.sha256).digest())
+    return f'{payload}.{signature}', ttl
+
+
+def token_valid(secret, token):
+    payload, _, signature = (token or '').partition('.')
+    if not payload or not signature:
+        return False
+    # Tokens come from the client; anything that is not the ASCII we issued is simply invalid
+    try:
+        expected = b64url(hmac.new(secret, payload.encode('ascii'), hashlib.sha256).digest())
+        if not hmac.compare_digest(expected.encode('ascii'), signature.encode('ascii')):
+            return False
+        claims = json.loads(b64url_decode(payload))
+    except (UnicodeEncodeError, ValueError):
+        return False
+    if not isinstance(claims, dict):
+        return False
+    return isinstance(claims.get('exp'), int) and claims['exp'] > time.time()
+
+
+class Handler(BaseHTTPRequestHandler):
+    upstream = None
+    upstream_auth = 'bearer'
+    api_key = ''
+    access_code = ''
+    token_ttl = 600
+    token_secret = b''
+    allow_origin = '*'
+    allowed_paths = DEFAULT_ALLOWED_PATHS
+    timeout = 300
+
+    def _cors(self):
+        self.send_header('Access-Control-Allow-Origin', self.allow_origin)
+        self.send_header('Access-Control-Allow-Headers', '*')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+        self.send_header('Access-Control-Expose-Headers', ', '.join(RETURN_HEADERS))
+        if self.allow_origin != '*':
+            self.send_header('Vary', 'Origin')
+
+    def _json(self, status, payload):
+        data = json.dumps(payload).encode('utf-8')
+        self.send_response(status)
+        self._cors()
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(data)))
+        self.end_headers()
+        self.wfile.write(data)
+
+    def _error(self, status, message):
+        self._json(status, {'error': {'message': message, 'type': 'relay_error'}})
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self._cors()
+        self.end_headers()
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        if length > MAX_BODY_BYTES:
+            self._error(413, 'Request body too large for the relay.')
+            return
+        body = self.rfile.read(length)
+        path = urlsplit(self.path).path.rstrip('/')
+        if path == '/token':
+            self._token(body)
+            return
+        auth = self.headers.get('Authorization') or ''
+        if not auth.startswith('Bearer ') or not token_valid(self.token_secret, auth[len('Bearer '):].strip()):
+            self._error(401, 'Relay token missing or expired; request a new one from /token.')
+            return
+        if path not in self.allowed_paths:
+            self._error(404, f'The relay does not forward {path or "/"}.')
+            return
+        self._forward(body)
+
+    def _token(self, body):
+        try:
+            code = (json.loads(body or b'{}') or {}).get('accessCode') or ''
+        except (ValueError, AttributeError):
+            code = ''
+        if not isinstance(code, str):
+            self._error(400, 'accessCode must be a string.')
+            return
+        if self.access_code and not hmac.compare_digest(code.encode('utf-8'), self.access_code.encode('utf-8')):
+            self._error(401, 'Wrong relay access code.')
+            return
+        token, expires_in = issue_token(self.token_secret, self.token_ttl)
+        self._json(200, {'token': token, 'expiresIn': expires_in})
+
+    def _forward(self, body):
+        target = urlsplit(self.upstream)
+        conn_cls = http.client.HTTPSConnection if target.scheme == 'https' else http.client.HTTPConnection
+        conn = conn_cls(target.netloc, timeout=self.timeout)
+        headers = {k: v for k, v in self.headers.items() if k.lower() in FORWARD_HEADERS}
+        if self.upstream_auth == 'x-api-key':
+            headers['x-api-key'] = self.api_key
+        else:
+            headers['Authorization'] = f'Bearer {self.api_key}'
+        try:
+            conn.request('POST', target.path.rstrip('/') + self.path, body=body, headers=headers)
+            resp = conn.getresponse()
+        except OSError as e:
+            conn.close()
+            self._error(502, f'Relay could not reach the upstream API: {e}')
+            return
+        try:
+            # No Content-Length: the body runs until the connection closes, so chunks can be
+            # passed on the moment they arrive
+            self.send_response(resp.status)
+            self._cors()
+            for name in RETURN_HEADERS:
+                if resp.getheader(name):
+                    self.send_header(name, resp.getheader(name))
+            self.send_header('Connection', 'close')
+            self.end_headers()
+            while True:
+                chunk = resp.read1(8192)
+                if not chunk:
+                    break
+                self.wfile.write(chunk)
+                self.wfile.flush()
+        except (BrokenPipeError, ConnectionResetError):
+            pass
+        finally:
+            conn.close()
+            self.close_connection = True
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--port', type=int, default=8787)
+    parser.add_argument('--host', default='127.0.0.1', help='interface to listen on (0.0.0.0 to share on the network)')
+    parser.add_argument('--upstream', required=True, help='API origin the requests go to, e.g. https://api.openai.com')
+    parser.add_argument('--upstream-auth', choices=['bearer', 'x-api-key'], default='bearer',
+                        help='how the key is sent upstream (x-api-key for Anthropic)')
+    parser.add_argument('--key-env', default='RELAY_API_KEY', help='environment variable holding the upstream key')
+    parser.add_argument('--access-env', default='RELAY_ACCESS_CODE',
+                        help='environment variable holding the access code browsers trade for tokens')
+    parser.add_argument('--token-ttl', type=int, default=600, help='token lifetime in seconds')
+    parser.add_argument('--allow-origin', default='*', help='value of Access-Control-Allow-Origin')
+    parser.add_argument('--allow-path', action='append', metavar='PATH',
+                        help='API path to forward, repeatable (default: ' + ', '.join(DEFAULT_ALLOWED_PATHS) + ')')
+    args = parser.parse_args()
+    api_key = os.environ.get(args.key_env, '')
+    if not api_key:
+        parser.error(f'set {args.key_env} to the upstream API key')
+    Handler.upstream = args.upstream
+    Handler.upstream_auth = args.upstream_auth
+    Handler.api_key = api_key
+    Handler.access_code = os.environ.get(args.access_env, '')
+    Handler.token_ttl = max(30, args.token_ttl)
+    Handler.token_secret = secrets.token_bytes(32)
+    Handler.allow_origin = args.allow_origin
+    if args.allow_path:
+        Handler.allowed_paths = tuple('/' + p.strip('/') for p in args.allow_path)
+    if not Handler.access_code:
+        print(f'Warning: {args.access_env} is not set; anyone who can reach the relay gets tokens.')
+    server = ThreadingHTTPServer((args.host, args.port), Handler)
+    print(f'LLM relay listening on http://{args.host}:{args.port} -> {args.upstream}')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,202 @@
+"""Local stand-in for the OpenAI Chat Completions endpoint.
+
+Streams a canned reply as server-sent events (or plain JSON when the request
+does not ask for ``stream``) so the chat UI can be exercised without a key.
+Requests with ``tools`` get one ``run_python`` call, then a final answer,
+which is enough to walk agent mode end to end. Requests with a ``json_schema``
+``response_format`` get the snippet as a structured code reply instead.
+``--rate-limit N`` answers the
+first N requests with 429 and a Retry-After header to exercise the retry path.
+``--expect-key KEY`` rejects requests whose bearer key differs (401), which
+checks that tools/llm_relay.py attaches the key.
+
+    python3 tools/mock_llm_server.py --port 8001
+
+Then enable the matching provider in assets/config.json:
+
+    "local": { "adapter": "openai", "baseUrl": "http://localhost:8001/v1", "auth": "none", "enabled": true }
+"""
+
+import argparse
+import json
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+
+def build_reply(messages):
+    last = ''
+    for m in reversed(messages or []):
+        if m.get('role') == 'user':
+            last = m.get('content') if isinstance(m.get('content'), str) else ''
+            break
+    prompt = last.replace('"""', "'''")[:200]
+    return (
+        'Here is a runnable snippet:\n\n'
+        '```python\n'
+        f'prompt = """{prompt}"""\n'
+        'for i in range(3):\n'
+        '    print(i, prompt)\n'
+        '```\n'
+    )
+
+
+def build_structured_reply(messages):
+    """Structured-output stand-in: the same snippet as a JSON code reply."""
+    fenced = build_reply(messages)
+    code = fenced.split('```python\n', 1)[1].rsplit('```', 1)[0]
+    return json.dumps({
+        'runtime': 'pyodide',
+        'language': 'python',
+        'requirements': [],
+        'explanation': 'Prints the prompt three times.',
+        'code': code,
+    })
+
+
+def build_tool_turn(messages, tools):
+    """Agent-mode stand-in: call run_python once, then finish with plain text."""
+    names = {t.get('function', {}).get('name') for t in tools or []}
+    last = (messages or [{}])[-1]
+    if last.get('role') == 'tool' or 'run_python' not in names:
+        return {'role': 'assistant', 'content': 'Ran the snippet; the task is done.'}
+    code = 'print(sum(range(10)))'
+    return {
+        'role': 'assistant',
+        'content': None,
+        'tool_calls': [{
+            'id': 'call_1',
+            'type': 'function',
+            'function': {'name': 'run_python', 'arguments': json.dumps({'code': code})},
+        }],
+    }
+
+
+def usage_for(messages, reply):
+    """Rough token counts (4 characters each) in the Chat Completions usage shape."""
+    prompt = sum(len(json.dumps(m.get('content') or '')) for m in messages or [])
+    return {'prompt_tokens': prompt // 4 + 1, 'completion_tokens': len(reply) // 4 + 1}
+
+
+def chunk_text(text, size):
+    return [text[i:i + size] for i in range(0, len(text), size)]
+
+
+class Handler(BaseHTTPRequestHandler):
+    delay = 0.05
+    chunk_size = 8
+    rate_limited = 0
+    retry_after = 1
+    expect_key = None
+
+    def _cors(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Headers', '*')
+        self.send_header('Access-Control-Allow-Methods', 'POST, OPTIONS')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self._cors()
+        self.end_headers()
+
+    def _rate_limit(self):
+        Handler.rate_limited -= 1
+        payload = json.dumps({'error': {'message': 'Rate limit reached (mock)', 'type': 'rate_limit_exceeded'}}).encode('utf-8')
+        self.send_response(429)
+        self._cors()
+        self.send_header('Access-Control-Expose-Headers', 'Retry-After')
+        self.send_header('Retry-After', str(self.retry_after))
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(payload)))
+        self.end_headers()
+        self.wfile.write(payload)
+
+    def do_POST(self):
+        length = int(self.headers.get('Content-Length') or 0)
+        try:
+            body = json.loads(self.rfile.read(length) or b'{}')
+        except ValueError:
+            self.send_response(400)
+            self._cors()
+            self.end_headers()
+            return
+        if self.expect_key is not None and self.headers.get('Authorization') != f'Bearer {self.expect_key}':
+            self.send_response(401)
+            self._cors()
+            self.send_header('Content-Type', 'application/json')
+            self.end_headers()
+            self.wfile.write(json.dumps({'error': {'message': 'Incorrect API key (mock)', 'type': 'invalid_request_error'}}).encode('utf-8'))
+            return
+        if Handler.rate_limited > 0:
+            self._rate_limit()
+            return
+        if (body.get('response_format') or {}).get('type') == 'json_schema':
+            reply = build_structured_reply(body.get('messages'))
+        else:
+            reply = build_reply(body.get('messages'))
+        model = body.get('model') or 'mock'
+        if not body.get('stream'):
+            message = {'role': 'assistant', 'content': reply}
+            if body.get('tools'):
+                message = build_tool_turn(body.get('messages'), body['tools'])
+            payload = json.dumps({
+                'id': 'mock-1',
+                'object': 'chat.completion',
+                'model': model,
+                'choices': [{'index': 0, 'message': message, 'finish_reason': 'tool_calls' if message.get('tool_calls') else 'stop'}],
+                'usage': usage_for(body.get('messages'), json.dumps(message)),
+            }).encode('utf-8')
+            self.send_response(200)
+            self._cors()
+            self.send_header('Content-Type', 'application/json')
+            self.send_header('Content-Length', str(len(payload)))
+            self.end_headers()
+            self.wfile.write(payload)
+            return
+        self.send_response(200)
+        self._cors()
+        self.send_header('Content-Type', 'text/event-stream')
+        self.send_header('Cache-Control', 'no-cache')
+        self.end_headers()
+        try:
+            for piece in chunk_text(reply, self.chunk_size):
+                event = {
+                    'id': 'mock-1',
+                    'object': 'chat.completion.chunk',
+                    'model': model,
+                    'choices': [{'index': 0, 'delta': {'content': piece}, 'finish_reason': None}],
+                }
+                self.wfile.write(f'data: {json.dumps(event)}\n\n'.encode('utf-8'))
+                self.wfile.flush()
+                time.sleep(self.delay)
+            if (body.get('stream_options') or {}).get('include_usage'):
+                event = {'id': 'mock-1', 'object': 'chat.completion.chunk', 'model': model, 'choices': [],
+                         'usage': usage_for(body.get('messages'), reply)}
+                self.wfile.write(f'data: {json.dumps(event)}\n\n'.encode('utf-8'))
+            self.wfile.write(b'data: [DONE]\n\n')
+            self.wfile.flush()
+        except (BrokenPipeError, ConnectionResetError):
+            pass
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--port', type=int, default=8001)
+    parser.add_argument('--delay', type=float, default=0.05, help='seconds between streamed chunks')
+    parser.add_argument('--rate-limit', type=int, default=0, help='answer the first N requests with 429')
+    parser.add_argument('--retry-after', type=int, default=1, help='Retry-After seconds sent with each 429')
+    parser.add_argument('--expect-key', help='answer 401 unless the request carries this bearer key')
+    args = parser.parse_args()
+    Handler.delay = args.delay
+    Handler.rate_limited = args.rate_limit
+    Handler.retry_after = args.retry_after
+    Handler.expect_key = args.expect_key
+    server = ThreadingHTTPServer(('127.0.0.1', args.port), Handler)
+    print(f'Mock LLM listening on http://127.0.0.1:{args.port}/v1/chat/completions')
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+
+
+if __name__ == '__main__':
+    main()